@@ -0,0 +1,169 @@
+// create-databases.js
+// Phase 1 (Option B): Creates the Releases and Features databases - plus the opt-in Release
+// Groups and Objectives databases with --with-release-groups / --with-objectives - under a parent page, with every property in config/field-mapping.json, the mapping's relations
+// (two-way where both sides are mapped, e.g. Release ↔ Features) and its "computed" rollups
+// and formulas (health roll-ups)
+//
+// Usage:
+//   node scripts/create-databases.js <parent-page-url-or-id> --dry-run   # Print the schema only
+//   node scripts/create-databases.js <parent-page-url-or-id>             # Create the databases
+//   node scripts/create-databases.js <parent-page-url-or-id> --with-release-groups --with-objectives
+//   (the parent page can also come from NOTION_PARENT_PAGE_ID)
+
+import dotenv from 'dotenv';
+import { extractNotionId } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
+import { configuredMapping, loadFieldMapping } from './lib/field-mapping.js';
+import { databaseSchema, findCounterpart, relationSchema } from './lib/notion-schema.js';
+import { addComputedProperties } from './lib/schema-check.js';
+import { notionEnvName } from './lib/notion-data-sources.js';
+
+dotenv.config({ path: '.env.personal' });
+
+const NOTION_API_KEY = process.env.NOTION_API_KEY;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+// Release groups and objectives are opt-in, like in the sync (NOTION_<ENTITY>_DB_ID)
+const optionalFlags = { releaseGroups: '--with-release-groups', objectives: '--with-objectives' };
+const parentArg = args.find(arg => !arg.startsWith('--')) || process.env.NOTION_PARENT_PAGE_ID;
+
+// releaseGroups → Release Groups
+function databaseTitle(entity) {
+  const words = entity.replace(/([a-z])([A-Z])/g, '$1 $2');
+  return words.replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+function describeProperty(name, schema) {
+  const [type, config] = Object.entries(schema)[0];
+  const options = config.options?.length ? `: ${config.options.map(option => option.name).join(', ')}` : '';
+  return `${name} (${type}${options})`;
+}
+
+/**
+ * Relations to add once every database exists, one per relation field. A field whose
+ * counterpart on the target side is also mapped becomes a single two-way relation, so the
+ * counterpart isn't added separately.
+ */
+function planRelations(mapping, entities) {
+  const relations = [];
+  const covered = new Set();
+
+  for (const entity of entities) {
+    for (const field of mapping[entity].fields.filter(f => f.type === 'relation')) {
+      if (covered.has(field)) continue;
+
+      const counterpart = findCounterpart(mapping, entity, field);
+      if (counterpart) covered.add(counterpart);
+      relations.push({ entity, field, syncedPropertyName: counterpart?.property });
+    }
+  }
+  return relations;
+}
+
+function printPlan(mapping, entities, relations) {
+  for (const entity of entities) {
+    console.log(`\n📊 ${databaseTitle(entity)}`);
+    Object.entries(databaseSchema(mapping[entity])).forEach(([name, schema]) => {
+      console.log(`   - ${describeProperty(name, schema)}`);
+    });
+  }
+
+  console.log('\n🔗 Relations');
+  relations.forEach(({ entity, field, syncedPropertyName }) => {
+    const target = databaseTitle(field.target);
+    console.log(syncedPropertyName
+      ? `   - ${databaseTitle(entity)}.${field.property} ↔ ${target}.${syncedPropertyName} (two-way)`
+      : `   - ${databaseTitle(entity)}.${field.property} → ${target}`);
+  });
+
+  for (const entity of entities.filter(e => mapping[e].computed?.length)) {
+    console.log(`\n🧮 ${databaseTitle(entity)} rollups and formulas`);
+    mapping[entity].computed.forEach(entry => {
+      const detail = entry.type === 'rollup'
+        ? `${entry.function} of ${entry.relation}.${entry.rollupProperty}`
+        : entry.expression;
+      console.log(`   - ${entry.property} (${entry.type}): ${detail}`);
+    });
+  }
+}
+
+async function main() {
+  try {
+    const included = Object.fromEntries(
+      Object.entries(optionalFlags).map(([entity, flag]) => [entity, args.includes(flag)])
+    );
+    // Relations to the databases left out are dropped, as configuredMapping does for the sync
+    const mapping = configuredMapping(loadFieldMapping(), { releases: true, features: true, ...included });
+    const entities = Object.keys(mapping);
+    const skipped = Object.keys(optionalFlags).filter(entity => !included[entity]);
+    const relations = planRelations(mapping, entities);
+
+    console.log(isDryRun ? '🏗️  Create Notion Databases - Dry Run (no changes will be made)\n' : '🏗️  Create Notion Databases\n');
+    console.log('='.repeat(50));
+    printPlan(mapping, entities, relations);
+    if (skipped.length > 0) console.log('');
+    skipped.forEach(entity => {
+      console.log(`⏭️  ${databaseTitle(entity)} not included - add ${optionalFlags[entity]} to create it`);
+    });
+
+    if (isDryRun) {
+      console.log('\n✅ Dry run complete - no changes made');
+      console.log('\n💡 To create the databases, run: node scripts/create-databases.js <parent-page-url-or-id>');
+      return;
+    }
+
+    if (!NOTION_API_KEY) {
+      throw new Error('NOTION_API_KEY not found in .env.personal');
+    }
+    const parentPageId = parentArg && extractNotionId(parentArg);
+    if (!parentPageId) {
+      throw new Error('Usage: node scripts/create-databases.js <parent-page-url-or-id> [--dry-run] (or set NOTION_PARENT_PAGE_ID)');
+    }
+
+    const notion = createNotionClient();
+    const created = {}; // entity → { databaseId, dataSourceId }
+
+    console.log(`\n⏳ Creating databases under page ${parentPageId}...`);
+    for (const entity of entities) {
+      const database = await notion.databases.create({
+        parent: { type: 'page_id', page_id: parentPageId },
+        title: [{ type: 'text', text: { content: databaseTitle(entity) } }],
+        is_inline: true,
+        initial_data_source: { properties: databaseSchema(mapping[entity]) }
+      });
+      created[entity] = { databaseId: database.id, dataSourceId: database.data_sources[0].id };
+      console.log(`   ✅ ${databaseTitle(entity)}: ${database.id}`);
+    }
+
+    console.log('\n⏳ Adding relations...');
+    for (const { entity, field, syncedPropertyName } of relations) {
+      await notion.dataSources.update({
+        data_source_id: created[entity].dataSourceId,
+        properties: {
+          [field.property]: relationSchema(created[field.target].dataSourceId, syncedPropertyName)
+        }
+      });
+      console.log(`   ✅ ${databaseTitle(entity)}.${field.property}${syncedPropertyName ? ` ↔ ${databaseTitle(field.target)}.${syncedPropertyName}` : ''}`);
+    }
+
+    // Rollups need their relation, so these come last
+    for (const entity of entities.filter(e => mapping[e].computed?.length)) {
+      console.log(`\n⏳ Adding ${databaseTitle(entity)} rollups and formulas...`);
+      const added = await addComputedProperties(notion, created[entity].dataSourceId, mapping[entity].computed);
+      added.forEach(name => console.log(`   ✅ ${name}`));
+    }
+
+    console.log('\n' + '='.repeat(50));
+    console.log('\n🎉 Databases created! Add these to .env.personal:\n');
+    entities.forEach(entity => console.log(`${notionEnvName(entity, 'DB_ID')}=${created[entity].databaseId}`));
+    console.log('\nNext step: node scripts/verify-setup.js');
+  } catch (error) {
+    console.error('\n💥 Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,10 +1,32 @@
 // fetch-productboard.js
 // Phase 2: Fetches all releases and features from ProductBoard API
+// (plus unassigned backlog features when SYNC_BACKLOG=true), release groups when
+// NOTION_RELEASE_GROUPS_DB_ID is set, and objectives and initiatives with the features linked
+// to them when NOTION_OBJECTIVES_DB_ID is set. Custom fields bound in config/field-mapping.json
+// are fetched too, converted to their properties' types.
 
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  fetchAllFeatures,
+  fetchAllObjectives,
+  fetchAllReleaseGroups,
+  fetchAllReleases,
+  fetchFeatureAssignments,
+  fetchFeatureDetails,
+  fetchProductHierarchy,
+  getBacklogFilters,
+  getFetchConcurrency,
+  getPaginationStats
+} from './lib/productboard-client.js';
+import { mapWithConcurrency } from './lib/concurrency.js';
+import { attachHierarchy, fetchParentFeatures } from './lib/feature-hierarchy.js';
+import { attachReleaseGroups } from './lib/release-groups.js';
+import { fetchObjectiveLinks } from './lib/objectives.js';
+import { attachCustomFields, customFieldBindings, fetchCustomFields } from './lib/custom-fields.js';
+import { loadFieldMapping } from './lib/field-mapping.js';
 
 dotenv.config({ path: '.env.personal' });
 
@@ -12,7 +34,9 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PRODUCTBOARD_API_TOKEN = process.env.PRODUCTBOARD_API_TOKEN;
-const PRODUCTBOARD_API_BASE = 'https://api.productboard.com';
+// Release groups and objectives are opt-in: only fetched for setups with their databases
+const NOTION_RELEASE_GROUPS_DB_ID = process.env.NOTION_RELEASE_GROUPS_DB_ID;
+const NOTION_OBJECTIVES_DB_ID = process.env.NOTION_OBJECTIVES_DB_ID;
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, '..', 'data');
@@ -20,144 +44,28 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-function normalizeHealth(health) {
-  // Normalize health status: lowercase, null → "unknown"
-  if (!health) {
-    return 'unknown';
-  }
-  return String(health).toLowerCase();
-}
-
-function formatDate(dateString) {
-  // ProductBoard: "2025-05-05T00:00:00Z" → "2025-05-05"
-  if (!dateString) return null;
-  return dateString.split('T')[0];
-}
-
-async function fetchProductBoardAPI(endpoint) {
-  const url = `${PRODUCTBOARD_API_BASE}${endpoint}`;
-  
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'X-Version': '1',
-      'Authorization': `Bearer ${PRODUCTBOARD_API_TOKEN}`,
-      'Content-Type': 'application/json'
-    }
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`ProductBoard API error: ${response.status} ${response.statusText} - ${errorText}`);
-  }
-
-  return await response.json();
-}
-
-async function fetchAllReleases() {
-  console.log('📦 Step 1/3: Fetching all releases...');
+async function fetchReleases() {
+  console.log('📦 Step 1/7: Fetching all releases and release groups...');
   
   try {
-    const response = await fetchProductBoardAPI('/releases');
-    const releases = response.data || [];
-    
-    console.log(`✅ Found ${releases.length} releases`);
+    const { releases, pages } = await fetchAllReleases();
+    console.log(`✅ Found ${releases.length} releases (${pages} page${pages === 1 ? '' : 's'})`);
     
-    // Transform releases to include only needed fields
-    const transformedReleases = releases.map(release => ({
-      id: release.id,
-      name: release.name,
-      startDate: formatDate(release.startDate),
-      endDate: formatDate(release.endDate),
-      state: release.state,
-      releaseGroup: release.releaseGroup?.id || null,
-      productManager: release.productManager?.name || null,
-      engineeringLead: release.engineeringLead?.name || null,
-      // Keep raw data for reference
-      raw: {
-        startDate: release.startDate,
-        endDate: release.endDate,
-        state: release.state
-      }
-    }));
+    if (!NOTION_RELEASE_GROUPS_DB_ID) {
+      console.log('⏭️  NOTION_RELEASE_GROUPS_DB_ID not set - skipping release groups');
+      return { releases, releaseGroups: [] };
+    }
     
-    return transformedReleases;
+    const { releaseGroups, pages: groupPages } = await fetchAllReleaseGroups();
+    attachReleaseGroups(releaseGroups, releases);
+    console.log(`✅ Found ${releaseGroups.length} release groups (${groupPages} page${groupPages === 1 ? '' : 's'})`);
+    return { releases, releaseGroups };
   } catch (error) {
     console.error(`❌ Failed to fetch releases: ${error.message}`);
     throw error;
   }
 }
 
-async function fetchFeatureAssignments(releaseId) {
-  try {
-    const response = await fetchProductBoardAPI(`/feature-release-assignments?release.id=${releaseId}`);
-    const assignments = response.data || [];
-    
-    // Extract feature IDs from assignments
-    return assignments.map(assignment => assignment.feature?.id).filter(Boolean);
-  } catch (error) {
-    console.error(`   ⚠️  Failed to fetch assignments for release ${releaseId}: ${error.message}`);
-    return [];
-  }
-}
-
-async function fetchFeatureDetails(featureId) {
-  try {
-    const response = await fetchProductBoardAPI(`/features/${featureId}`);
-    const feature = response.data;
-    
-    if (!feature) {
-      return null;
-    }
-    
-    // Extract health status from lastHealthUpdate
-    const health = feature.lastHealthUpdate?.status || null;
-    
-    // Extract Product Manager from owner field (ProductBoard API structure)
-    // ProductBoard returns: { "owner": { "email": "test@coder.com" } }
-    const productManager = feature.owner?.email || 
-                          feature.productManager?.name || 
-                          feature.productManager?.displayName ||
-                          feature.productManager?.email ||
-                          (typeof feature.productManager === 'string' ? feature.productManager : null) ||
-                          null;
-    
-    // Extract Engineering Lead (may still be in engineeringLead field)
-    const engineeringLead = feature.engineeringLead?.name || 
-                           feature.engineeringLead?.displayName ||
-                           feature.engineeringLead?.email ||
-                           (typeof feature.engineeringLead === 'string' ? feature.engineeringLead : null) ||
-                           null;
-    
-    // Transform feature to include only needed fields
-    return {
-      id: feature.id,
-      name: feature.name,
-      status: feature.status?.name || null,
-      health: normalizeHealth(health),
-      productManager: productManager,
-      engineeringLead: engineeringLead,
-      productboardLink: feature.links?.html || null,
-      // Keep raw data for reference
-      raw: {
-        status: feature.status,
-        lastHealthUpdate: feature.lastHealthUpdate,
-        health: health,
-        owner: feature.owner,
-        productManager: feature.productManager,
-        engineeringLead: feature.engineeringLead
-      }
-    };
-  } catch (error) {
-    console.error(`   ⚠️  Failed to fetch feature ${featureId}: ${error.message}`);
-    return null;
-  }
-}
-
 async function main() {
   console.log('🚀 Fetching ProductBoard Data\n');
   console.log('='.repeat(50));
@@ -168,8 +76,11 @@ async function main() {
   }
 
   try {
+    // The field mapping says which custom fields to fetch; a broken one fails before any request
+    const bindings = customFieldBindings(loadFieldMapping().features);
+
     // Step 1: Fetch all releases
-    const releases = await fetchAllReleases();
+    const { releases, releaseGroups } = await fetchReleases();
     
     if (releases.length === 0) {
       console.error('❌ No releases found');
@@ -177,21 +88,23 @@ async function main() {
     }
 
     // Step 2: Fetch feature assignments for each release
-    console.log('\n🔗 Step 2/3: Fetching feature assignments...');
+    console.log('\n🔗 Step 2/7: Fetching feature assignments...');
     const releaseFeatureMap = new Map(); // releaseId → [featureIds]
     
-    for (let i = 0; i < releases.length; i++) {
-      const release = releases[i];
-      process.stdout.write(`   Processing release ${i + 1}/${releases.length}: ${release.name}... `);
-      
-      const featureIds = await fetchFeatureAssignments(release.id);
-      releaseFeatureMap.set(release.id, featureIds);
-      
-      console.log(`✅ ${featureIds.length} features`);
-      
-      // Small delay to be respectful to API
-      await sleep(50);
-    }
+    const concurrency = getFetchConcurrency();
+    let releasesDone = 0;
+    
+    // Fetched in parallel (throttled by the client's rate limiter), stored in release order
+    const assignmentResults = await mapWithConcurrency(releases, concurrency, async (release) => {
+      const result = await fetchFeatureAssignments(release.id);
+      releasesDone++;
+      console.log(`   Processed release ${releasesDone}/${releases.length}: ${release.name}... ✅ ${result.featureIds.length} features (${result.pages} page${result.pages === 1 ? '' : 's'})`);
+      return result;
+    });
+    
+    releases.forEach((release, i) => {
+      releaseFeatureMap.set(release.id, assignmentResults[i].featureIds);
+    });
 
     // Collect all unique feature IDs
     const allFeatureIds = new Set();
@@ -202,15 +115,25 @@ async function main() {
     console.log(`\n📊 Found ${allFeatureIds.size} unique features across all releases`);
 
     // Step 3: Fetch full details for each feature
-    console.log('\n🎯 Step 3/3: Fetching feature details...');
+    console.log('\n🎯 Step 3/7: Fetching feature details...');
     const features = [];
     const featureIdsArray = Array.from(allFeatureIds);
+    let featuresDone = 0;
     
-    for (let i = 0; i < featureIdsArray.length; i++) {
-      const featureId = featureIdsArray[i];
-      process.stdout.write(`   Processing feature ${i + 1}/${featureIdsArray.length}... `);
-      
+    const featureResults = await mapWithConcurrency(featureIdsArray, concurrency, async (featureId) => {
       const feature = await fetchFeatureDetails(featureId);
+      featuresDone++;
+      if (feature) {
+        console.log(`   Processed feature ${featuresDone}/${featureIdsArray.length}... ✅ ${feature.name}`);
+      } else {
+        console.log(`   Processed feature ${featuresDone}/${featureIdsArray.length}... ⚠️  Skipped (not found)`);
+      }
+      return feature;
+    });
+    
+    // Assemble in discovery order so the export is deterministic
+    featureIdsArray.forEach((featureId, i) => {
+      const feature = featureResults[i];
       
       if (feature) {
         // Find which release(s) this feature belongs to
@@ -221,31 +144,85 @@ async function main() {
           }
         });
         
-        // For now, use the first release (most features belong to one release)
-        // In Phase 4, we'll handle multiple releases per feature if needed
-        feature.releaseId = releaseIds[0] || null;
-        feature.releaseIds = releaseIds; // Keep all for reference
+        // Phased rollouts span several releases; the Release relation carries all of them
+        feature.releaseIds = releaseIds;
         
         features.push(feature);
-        console.log(`✅ ${feature.name}`);
-      } else {
-        console.log('⚠️  Skipped (not found)');
       }
-      
-      // Small delay to be respectful to API
-      await sleep(50);
+    });
+
+    // Step 4: Backlog features aren't assigned to any release, so they get an empty Release relation
+    const backlogFilters = getBacklogFilters();
+    let backlogCount = 0;
+    console.log('\n🗂️  Step 4/7: Fetching backlog features...');
+    if (backlogFilters) {
+      const { features: listedFeatures, pages } = await fetchAllFeatures(backlogFilters);
+      listedFeatures.filter(feature => !allFeatureIds.has(feature.id)).forEach(feature => {
+        feature.releaseIds = [];
+        features.push(feature);
+        backlogCount++;
+      });
+      console.log(`✅ Found ${backlogCount} backlog features (${pages} page${pages === 1 ? '' : 's'})`);
+    } else {
+      console.log('⏭️  SYNC_BACKLOG not set - skipping backlog features');
+    }
+
+    // Step 5: Parent features and the product/component tree, so Notion shows the same hierarchy
+    console.log('\n🌳 Step 5/7: Fetching product hierarchy...');
+    const { parents } = await fetchParentFeatures(features, concurrency);
+    parents.forEach(feature => {
+      feature.releaseIds = [];
+      features.push(feature);
+    });
+    const hierarchy = await fetchProductHierarchy();
+    attachHierarchy(features, hierarchy);
+    console.log(`✅ ${hierarchy.products.length} products, ${hierarchy.components.length} components, ${parents.length} parent features outside the releases`);
+
+    // Step 6: Custom fields the mapping binds to feature properties ("customFields.<name>" sources)
+    console.log('\n🧩 Step 6/7: Fetching custom fields...');
+    if (bindings.length > 0) {
+      const { values: customFieldValues, pages: customFieldPages } = await fetchCustomFields(bindings, concurrency);
+      attachCustomFields(features, bindings, customFieldValues);
+      console.log(`✅ ${bindings.map(binding => binding.name).join(', ')} (${customFieldPages} pages)`);
+    } else {
+      console.log('⏭️  No custom fields in the field mapping - skipping');
+    }
+
+    // Step 7: Objectives and initiatives keep every linked feature ID; the migration links the fetched ones
+    let objectives = [];
+    console.log('\n🏁 Step 7/7: Fetching objectives and initiatives...');
+    if (NOTION_OBJECTIVES_DB_ID) {
+      const result = await fetchAllObjectives();
+      const links = await fetchObjectiveLinks(result.objectives, concurrency);
+      objectives = result.objectives;
+      console.log(`✅ Found ${objectives.length} objectives and initiatives (${result.pages + links.pages} pages)`);
+      if (links.failed > 0) {
+        console.log(`   ⚠️  Linked features failed to load for ${links.failed} objectives (marked linksFailed) - the migration skips them`);
+      }
+    } else {
+      console.log('⏭️  NOTION_OBJECTIVES_DB_ID not set - skipping objectives and initiatives');
     }
 
     // Build final export structure
+    const pagination = getPaginationStats();
     const exportData = {
       fetchedAt: new Date().toISOString(),
       summary: {
         releases: releases.length,
+        releaseGroups: releaseGroups.length,
+        objectives: objectives.length,
         features: features.length,
-        releasesWithFeatures: Array.from(releaseFeatureMap.values()).filter(ids => ids.length > 0).length
+        releasesWithFeatures: Array.from(releaseFeatureMap.values()).filter(ids => ids.length > 0).length,
+        backlogFeatures: backlogCount,
+        parentFeatures: parents.length,
+        pagination: pagination
       },
       releases: releases,
+      releaseGroups: releaseGroups,
+      objectives: objectives,
       features: features,
+      products: hierarchy.products,
+      components: hierarchy.components,
       releaseFeatureMap: Object.fromEntries(releaseFeatureMap)
     };
 
@@ -256,7 +233,15 @@ async function main() {
     console.log('\n' + '='.repeat(50));
     console.log('\n📊 Export Summary:');
     console.log(`   ✅ Releases: ${releases.length}`);
+    console.log(`   ✅ Release groups: ${releaseGroups.length}`);
+    console.log(`   ✅ Objectives and initiatives: ${objectives.length}`);
     console.log(`   ✅ Features: ${features.length}`);
+    if (backlogFilters) {
+      console.log(`   ✅ Backlog features (no release): ${backlogCount}`);
+    }
+    Object.entries(pagination).forEach(([endpoint, stats]) => {
+      console.log(`   📄 ${endpoint}: ${stats.pages} pages across ${stats.requests} requests (${stats.items} items)`);
+    });
     console.log(`   ✅ Saved to: ${outputPath}`);
     console.log('\n🎉 Fetch complete!');
     console.log('\n💡 Next steps:');
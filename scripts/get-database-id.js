@@ -62,6 +62,10 @@ console.log('\n💡 Add to .env.personal:');
 console.log(`   NOTION_RELEASES_DB_ID=${formattedId}`);
 console.log(`   # or`);
 console.log(`   NOTION_FEATURES_DB_ID=${formattedId}`);
+console.log(`   # or`);
+console.log(`   NOTION_RELEASE_GROUPS_DB_ID=${formattedId}`);
+console.log(`   # or`);
+console.log(`   NOTION_OBJECTIVES_DB_ID=${formattedId}`);
 console.log(`   # (use the appropriate variable name for your database)`);
 console.log(`   # Both formats work: with or without dashes`);
 
@@ -0,0 +1,29 @@
+// concurrency.js
+// Bounded worker pool for running API fetches in parallel
+
+/**
+ * Run fn(item, index) over items with at most `concurrency` calls in flight.
+ * Results come back in input order regardless of completion order.
+ * The first rejection stops workers from picking up new items and is rethrown.
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  let nextIndex = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
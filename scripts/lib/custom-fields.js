@@ -0,0 +1,106 @@
+// custom-fields.js
+// ProductBoard custom fields (effort, customer tier, team, RICE score, ...) bound in the field
+// mapping with a "customFields.<name>" source: fetches the definitions and values of the bound
+// ones and sets feature.customFields[name], converted to the bound Notion property's type
+
+import { fetchCustomFieldDefinitions, fetchCustomFieldValues } from './productboard-client.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+export const CUSTOM_FIELD_SOURCE = 'customFields.';
+
+// Notion property types a custom field can be bound to
+export const CUSTOM_FIELD_PROPERTY_TYPES = ['number', 'select', 'multi_select', 'rich_text', 'date'];
+
+// Custom fields the entity's mapping binds: [{ name, type }]
+export function customFieldBindings(entityMapping) {
+  return entityMapping.fields
+    .filter(field => field.source.startsWith(CUSTOM_FIELD_SOURCE))
+    .map(field => ({ name: field.source.slice(CUSTOM_FIELD_SOURCE.length), type: field.type }));
+}
+
+// Notion select option names can't contain commas
+export function optionName(value) {
+  return String(value).replace(/\s*,\s*/g, ' ').trim();
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Convert a custom field value (a number, a string, or a list of option labels) to what a
+ * property of the given type holds. Values that don't convert (e.g. "TBD" bound to a number)
+ * become null, so the property is cleared rather than the page write failing.
+ */
+export function convertCustomFieldValue(value, type) {
+  if (isEmpty(value)) {
+    return type === 'multi_select' ? [] : null;
+  }
+  const values = Array.isArray(value) ? value : [value];
+
+  switch (type) {
+    case 'number': {
+      if (values.length !== 1) return null;
+      const number = typeof values[0] === 'number' ? values[0] : Number(String(values[0]).trim());
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'select':
+      // Notion selects hold one option
+      return optionName(values[0]) || null;
+    case 'multi_select':
+      return values.map(optionName).filter(Boolean);
+    case 'date': {
+      if (values.length !== 1) return null;
+      const text = String(values[0]).trim();
+      if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+      const date = new Date(typeof values[0] === 'number' ? values[0] : text);
+      if (Number.isNaN(date.getTime())) return null;
+      // "March 5, 2025" parses as local midnight; keep that calendar day
+      const pad = number => String(number).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    default:
+      return values.map(String).join(', ');
+  }
+}
+
+/**
+ * Fetch the definitions and the values of the bound custom fields.
+ * Returns { values: name → (entity ID → value), pages }. Throws when a bound name isn't defined
+ * in ProductBoard: syncing on would clear that property on every page.
+ */
+export async function fetchCustomFields(bindings, concurrency) {
+  const names = [...new Set(bindings.map(binding => binding.name))];
+  if (names.length === 0) {
+    return { values: new Map(), pages: 0 };
+  }
+
+  const { customFields, pages: definitionPages } = await fetchCustomFieldDefinitions();
+  const missing = names.filter(name => !customFields.some(customField => customField.name === name));
+  if (missing.length > 0) {
+    throw new Error(`ProductBoard has no custom field named ${missing.map(name => `"${name}"`).join(', ')} - check the "customFields.<name>" sources in the field mapping`);
+  }
+
+  const bound = names.map(name => customFields.find(customField => customField.name === name));
+  const results = await mapWithConcurrency(bound, concurrency, customField => fetchCustomFieldValues(customField));
+
+  const values = new Map();
+  bound.forEach((customField, i) => {
+    values.set(customField.name, new Map(results[i].values.map(({ entityId, value }) => [entityId, value])));
+  });
+
+  return {
+    values,
+    pages: definitionPages + results.reduce((count, result) => count + result.pages, 0)
+  };
+}
+
+// Set feature.customFields[name] on every feature; features without a value get an empty one
+export function attachCustomFields(features, bindings, values) {
+  features.forEach(feature => {
+    feature.customFields = {};
+    bindings.forEach(({ name, type }) => {
+      feature.customFields[name] = convertCustomFieldValue(values.get(name)?.get(feature.id), type);
+    });
+  });
+}
@@ -0,0 +1,28 @@
+// duplicate-merge.js
+// Relations a duplicate group's survivor ends up with once the other pages are archived
+
+/**
+ * Union of the relations of the survivor and every duplicate, for each relation field.
+ * Links to pages that are archived themselves (survivorOf: duplicate page ID → survivor page ID)
+ * are moved to their survivor, so two duplicate groups linking to each other end up linking
+ * survivor to survivor. Candidates are { page, relations: { property: [page IDs] } }.
+ * Returns the `properties` to update on the survivor - only the relations that change.
+ */
+export function mergeRelations(survivor, duplicates, relationFields, survivorOf) {
+  const properties = {};
+
+  for (const field of relationFields) {
+    const current = survivor.relations[field.property];
+    const merged = new Set();
+    [survivor, ...duplicates].forEach(candidate => {
+      candidate.relations[field.property].forEach(id => merged.add(survivorOf.get(id) || id));
+    });
+
+    const unchanged = merged.size === current.length && current.every(id => merged.has(id));
+    if (!unchanged) {
+      properties[field.property] = { relation: [...merged].map(id => ({ id })) };
+    }
+  }
+
+  return properties;
+}
@@ -0,0 +1,92 @@
+// feature-hierarchy.js
+// Places fetched features in ProductBoard's product → component → feature → subfeature tree:
+// sets feature.parentFeatureIds / subfeatureIds (the Parent Feature ↔ Subfeatures relation)
+// and feature.component / product (the product area) for the field mapping to write
+
+import { fetchFeatureDetails } from './productboard-client.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { optionName } from './custom-fields.js';
+
+function parentFeatureId(feature) {
+  return feature.parent?.type === 'feature' ? feature.parent.id : null;
+}
+
+/**
+ * Fetch the parent features of subfeatures that weren't fetched themselves (e.g. a parent
+ * that isn't assigned to any release), level by level until every parent is known.
+ * Returns { parents, requested }: the parents fetched, and every ID asked for - including
+ * ones that failed to load, so they aren't mistaken for removed features.
+ */
+export async function fetchParentFeatures(features, concurrency) {
+  const known = new Set(features.map(feature => feature.id));
+  const requested = new Set();
+  const parents = [];
+  let level = features;
+
+  while (level.length > 0) {
+    const ids = [...new Set(level.map(parentFeatureId))].filter(id => id && !known.has(id) && !requested.has(id));
+    ids.forEach(id => requested.add(id));
+
+    const fetched = (await mapWithConcurrency(ids, concurrency, id => fetchFeatureDetails(id))).filter(Boolean);
+    fetched.forEach(feature => {
+      known.add(feature.id);
+      parents.push(feature);
+    });
+    level = fetched;
+  }
+
+  return { parents, requested };
+}
+
+// Component and product names for a feature's (or top-level feature's) parent, as select options
+function productArea(parent, components, products) {
+  let component = parent?.type === 'component' ? components.get(parent.id) : null;
+  const area = { component: component?.name ? optionName(component.name) : null, product: null };
+
+  // Components can be nested; the product is at the top
+  const seen = new Set();
+  let current = parent;
+  while (current?.type === 'component' && !seen.has(current.id)) {
+    seen.add(current.id);
+    component = components.get(current.id);
+    current = component?.parent;
+  }
+  if (current?.type === 'product') {
+    const product = products.get(current.id);
+    area.product = product?.name ? optionName(product.name) : null;
+  }
+  return area;
+}
+
+/**
+ * Set the hierarchy fields on every feature; a subfeature takes its product area from its
+ * top-level feature. Subfeatures only list features in the list, but a parent that isn't in it
+ * (its details failed to load) is kept: the relation then links its existing Notion page, or
+ * is left out rather than clearing the link.
+ */
+export function attachHierarchy(features, { products = [], components = [] } = {}) {
+  const featuresById = new Map(features.map(feature => [feature.id, feature]));
+  const componentsById = new Map(components.map(component => [component.id, component]));
+  const productsById = new Map(products.map(product => [product.id, product]));
+
+  features.forEach(feature => {
+    const parentId = parentFeatureId(feature);
+    feature.parentFeatureIds = parentId ? [parentId] : [];
+    feature.subfeatureIds = [];
+  });
+  features.forEach(feature => {
+    feature.parentFeatureIds
+      .filter(parentId => featuresById.has(parentId))
+      .forEach(parentId => featuresById.get(parentId).subfeatureIds.push(feature.id));
+  });
+
+  features.forEach(feature => {
+    let topLevel = feature;
+    const seen = new Set();
+    while (parentFeatureId(topLevel) && featuresById.has(parentFeatureId(topLevel)) && !seen.has(topLevel.id)) {
+      seen.add(topLevel.id);
+      topLevel = featuresById.get(parentFeatureId(topLevel));
+    }
+    Object.assign(feature, productArea(topLevel.parent, componentsById, productsById));
+  });
+}
@@ -0,0 +1,262 @@
+// field-mapping.js
+// Loads the declarative ProductBoard → Notion field mapping (config/field-mapping.json)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatDate, normalizeHealth } from './productboard-client.js';
+import { CUSTOM_FIELD_PROPERTY_TYPES, CUSTOM_FIELD_SOURCE } from './custom-fields.js';
+import { notionEnvName } from './notion-data-sources.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_MAPPING_PATH = path.join(__dirname, '..', '..', 'config', 'field-mapping.json');
+
+// Who may change a field once its page exists (see field-ownership.js)
+export const OWNERSHIP = ['productboard', 'notion', 'productboard-unless-edited'];
+
+export const SUPPORTED_TYPES = [
+  'title', 'rich_text', 'select', 'multi_select', 'date', 'url', 'number', 'checkbox', 'relation'
+];
+
+// Named transforms a field can reference with "transform": "<name>"
+export const TRANSFORMS = {
+  formatDate: value => formatDate(value),
+  normalizeHealth: value => normalizeHealth(value),
+  lowercase: value => (value === null || value === undefined ? value : String(value).toLowerCase()),
+  uppercase: value => (value === null || value === undefined ? value : String(value).toUpperCase()),
+  trim: value => (value === null || value === undefined ? value : String(value).trim())
+};
+
+// Rollup functions accepted by the Notion API for "computed" rollups
+export const ROLLUP_FUNCTIONS = [
+  'count', 'count_values', 'empty', 'not_empty', 'unique', 'show_unique', 'percent_empty',
+  'percent_not_empty', 'sum', 'average', 'median', 'min', 'max', 'range', 'earliest_date',
+  'latest_date', 'date_range', 'checked', 'unchecked', 'percent_checked', 'percent_unchecked',
+  'count_per_group', 'percent_per_group', 'show_original'
+];
+
+// Types whose Notion value can be sent back to ProductBoard as a single value
+const WRITE_BACK_TYPES = ['title', 'rich_text', 'select', 'date', 'url', 'number', 'checkbox'];
+
+function validateWriteBack(where, name, field) {
+  const target = `${where} (${field.property})`;
+  if (name !== 'features') {
+    throw new Error(`${target}: "writeBack" is only supported on features (ProductBoard features API)`);
+  }
+  if (!field.writeBack.field) {
+    throw new Error(`${target}: "writeBack" needs a "field" (ProductBoard feature path, e.g. "status.name")`);
+  }
+  if (!WRITE_BACK_TYPES.includes(field.type)) {
+    throw new Error(`${target}: "writeBack" isn't supported for ${field.type} properties`);
+  }
+  if (field.identity || field.ownership === 'notion') {
+    throw new Error(`${target}: "writeBack" can't be used on the identity field or a Notion-owned field`);
+  }
+}
+
+// "customFields.<name>" sources: fetched for features only, one property per custom field
+function validateCustomField(where, name, field, customFields) {
+  const target = `${where} (${field.property})`;
+  const customField = field.source.slice(CUSTOM_FIELD_SOURCE.length);
+
+  if (name !== 'features') {
+    throw new Error(`${target}: custom fields are only fetched for features`);
+  }
+  if (!customField) {
+    throw new Error(`${target}: "${field.source}" needs the custom field's name, e.g. "customFields.Effort"`);
+  }
+  if (!CUSTOM_FIELD_PROPERTY_TYPES.includes(field.type)) {
+    throw new Error(`${target}: a custom field can't be a ${field.type} property. Use one of: ${CUSTOM_FIELD_PROPERTY_TYPES.join(', ')}`);
+  }
+  if (field.writeBack || field.identity) {
+    throw new Error(`${target}: a custom field can't be the identity field or written back`);
+  }
+  if (customFields.has(customField)) {
+    throw new Error(`${target}: custom field "${customField}" is mapped twice`);
+  }
+  customFields.add(customField);
+}
+
+// Select options to create with the database (create-databases.js)
+function validOptions(field) {
+  return ['select', 'multi_select'].includes(field.type) &&
+    Array.isArray(field.options) &&
+    field.options.every(option => typeof option === 'string' || (option && typeof option.name === 'string'));
+}
+
+function validateEntity(name, entity, entityNames) {
+  if (!entity || !Array.isArray(entity.fields) || entity.fields.length === 0) {
+    throw new Error(`Field mapping "${name}" must have a non-empty "fields" array`);
+  }
+
+  const properties = new Set();
+  const customFields = new Set();
+  let identityCount = 0;
+
+  entity.fields.forEach((field, index) => {
+    const where = `Field mapping "${name}" field #${index + 1}`;
+
+    if (!field.property) {
+      throw new Error(`${where}: missing "property" (Notion property name)`);
+    }
+    if (properties.has(field.property)) {
+      throw new Error(`${where}: Notion property "${field.property}" is mapped twice`);
+    }
+    properties.add(field.property);
+
+    if (!SUPPORTED_TYPES.includes(field.type)) {
+      throw new Error(`${where} (${field.property}): unsupported type "${field.type}". Use one of: ${SUPPORTED_TYPES.join(', ')}`);
+    }
+    if (!field.source) {
+      throw new Error(`${where} (${field.property}): missing "source" (ProductBoard field path)`);
+    }
+    if (field.type === 'relation' && !entityNames.includes(field.target)) {
+      throw new Error(`${where} (${field.property}): relation "target" must be one of: ${entityNames.join(', ')}`);
+    }
+    if (field.transform && !TRANSFORMS[field.transform]) {
+      throw new Error(`${where} (${field.property}): unknown transform "${field.transform}". Use one of: ${Object.keys(TRANSFORMS).join(', ')}`);
+    }
+    if (field.ownership && !OWNERSHIP.includes(field.ownership)) {
+      throw new Error(`${where} (${field.property}): unknown ownership "${field.ownership}". Use one of: ${OWNERSHIP.join(', ')}`);
+    }
+    if (field.options && !validOptions(field)) {
+      throw new Error(`${where} (${field.property}): "options" must be a list of names or { "name", "color" } objects on a select or multi_select field`);
+    }
+    if (field.source.startsWith(CUSTOM_FIELD_SOURCE)) {
+      validateCustomField(where, name, field, customFields);
+    }
+    if (field.writeBack) {
+      validateWriteBack(where, name, field);
+    }
+    if (field.identity) {
+      identityCount++;
+      if (field.ownership && field.ownership !== 'productboard') {
+        throw new Error(`${where} (${field.property}): the identity field must be owned by productboard`);
+      }
+    }
+  });
+
+  if (identityCount !== 1) {
+    throw new Error(`Field mapping "${name}" must mark exactly one field with "identity": true (found ${identityCount})`);
+  }
+
+  // Optional marker written by the "mark" removal policy
+  if (entity.removed) {
+    const { property, type, value } = entity.removed;
+    if (!property || !['select', 'rich_text', 'checkbox'].includes(type) || value === undefined) {
+      throw new Error(`Field mapping "${name}": "removed" needs a property, a type of select, rich_text or checkbox, and a value`);
+    }
+  }
+
+  if (entity.computed) {
+    validateComputed(name, entity, properties);
+  }
+}
+
+// Rollup / formula properties Notion calculates; created by the setup tooling, never written by the sync
+function validateComputed(name, entity, properties) {
+  if (!Array.isArray(entity.computed)) {
+    throw new Error(`Field mapping "${name}": "computed" must be an array`);
+  }
+
+  const relations = entity.fields.filter(field => field.type === 'relation').map(field => field.property);
+  entity.computed.forEach((entry, index) => {
+    const where = `Field mapping "${name}" computed #${index + 1}`;
+
+    if (!entry.property) {
+      throw new Error(`${where}: missing "property" (Notion property name)`);
+    }
+    if (properties.has(entry.property)) {
+      throw new Error(`${where}: Notion property "${entry.property}" is mapped twice`);
+    }
+    properties.add(entry.property);
+
+    if (entry.type === 'rollup') {
+      if (!relations.includes(entry.relation) || !entry.rollupProperty) {
+        throw new Error(`${where} (${entry.property}): a rollup needs "relation" (one of: ${relations.join(', ') || 'no relations mapped'}) and "rollupProperty"`);
+      }
+      if (!ROLLUP_FUNCTIONS.includes(entry.function)) {
+        throw new Error(`${where} (${entry.property}): unknown rollup function "${entry.function}". Use one of: ${ROLLUP_FUNCTIONS.join(', ')}`);
+      }
+    } else if (entry.type === 'formula') {
+      if (typeof entry.expression !== 'string' || !entry.expression.trim()) {
+        throw new Error(`${where} (${entry.property}): a formula needs an "expression"`);
+      }
+    } else {
+      throw new Error(`${where} (${entry.property}): type must be "rollup" or "formula"`);
+    }
+  });
+}
+
+/**
+ * Load and validate the field mapping.
+ * FIELD_MAPPING_PATH overrides the default config/field-mapping.json (relative paths resolve from the cwd).
+ */
+export function loadFieldMapping(mappingPath = process.env.FIELD_MAPPING_PATH) {
+  const resolvedPath = mappingPath ? path.resolve(mappingPath) : DEFAULT_MAPPING_PATH;
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Field mapping not found at ${resolvedPath}`);
+  }
+
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse field mapping ${resolvedPath}: ${error.message}`);
+  }
+
+  // Optional entities' sections are only needed once their database is configured (configuredMapping)
+  for (const required of ['releases', 'features']) {
+    if (!mapping[required]) {
+      throw new Error(`Field mapping ${resolvedPath} is missing the "${required}" section`);
+    }
+  }
+
+  const entityNames = Object.keys(mapping);
+  entityNames.forEach(name => validateEntity(name, mapping[name], entityNames));
+
+  return mapping;
+}
+
+// The field that holds the ProductBoard ID (e.g. 'Productboard ID', 'Feature ID')
+export function getIdentityField(entityMapping) {
+  return entityMapping.fields.find(field => field.identity);
+}
+
+export function getField(entityMapping, source) {
+  return entityMapping.fields.find(field => field.source === source) || null;
+}
+
+// Entities only synced when their database is configured (NOTION_<ENTITY>_DB_ID)
+export const OPTIONAL_ENTITIES = ['releaseGroups', 'objectives'];
+
+/**
+ * The mapping without the optional entities that have no database ID, and without the
+ * relations (and rollups over them) that point at those entities.
+ * databaseIds: entity → Notion database ID (unset for an unconfigured entity). Throws when an
+ * optional entity has a database but no section in the mapping (e.g. an older custom mapping).
+ */
+export function configuredMapping(mapping, databaseIds) {
+  for (const name of OPTIONAL_ENTITIES) {
+    if (databaseIds[name] && !mapping[name]) {
+      throw new Error(`Field mapping has no "${name}" section, but ${notionEnvName(name, 'DB_ID')} is set - add one (see config/field-mapping.json) or unset the ID`);
+    }
+  }
+
+  const skipped = OPTIONAL_ENTITIES.filter(name => !databaseIds[name]);
+  const configured = {};
+
+  for (const [name, entity] of Object.entries(mapping)) {
+    if (skipped.includes(name)) continue;
+
+    const fields = entity.fields.filter(field => !(field.type === 'relation' && skipped.includes(field.target)));
+    const relations = fields.filter(field => field.type === 'relation').map(field => field.property);
+    const computed = entity.computed?.filter(entry => entry.type !== 'rollup' || relations.includes(entry.relation));
+    configured[name] = { ...entity, fields, ...(computed && { computed }) };
+  }
+
+  return configured;
+}
@@ -0,0 +1,125 @@
+// field-ownership.js
+// Per-field ownership rules for pages that already exist in Notion:
+//   productboard               - ProductBoard always wins (default)
+//   notion                     - set on create, never touched again by the sync
+//   productboard-unless-edited - ProductBoard wins unless someone edited the field in Notion
+//                                since the last sync; then the edit is kept and, if ProductBoard
+//                                changed too, reported as a conflict
+// Fields with "writeBack" (when two-way sync is on) work like productboard-unless-edited,
+// except that a Notion edit is pushed to ProductBoard instead of just being kept.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_STATE_PATH = path.join(__dirname, '..', '..', 'data', 'sync-state.json');
+
+function statePath() {
+  return process.env.SYNC_STATE_PATH ? path.resolve(process.env.SYNC_STATE_PATH) : DEFAULT_STATE_PATH;
+}
+
+// Normalized values (strings, numbers, sorted arrays) compare by their JSON form
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Last-synced values per page: { pages: { [pageId]: { lastEditedTime, values } } }.
+ * lastEditedTime is the page's last_edited_time right after the sync last wrote it (null
+ * while a manual edit is being kept); values holds the last value the sync wrote for each
+ * productboard-unless-edited or writeBack field.
+ */
+export function loadSyncState() {
+  const file = statePath();
+  if (!fs.existsSync(file)) {
+    return { pages: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function saveSyncState(state) {
+  const file = statePath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  state.updatedAt = new Date().toISOString();
+  fs.writeFileSync(file, JSON.stringify(state, null, 2), 'utf8');
+}
+
+// Fields whose last-synced value has to be remembered
+function isTracked(field) {
+  return field.ownership === 'productboard-unless-edited' || Boolean(field.writeBack);
+}
+
+// Values to remember for a page the sync just wrote (or created)
+export function trackedValues(pbData, entityMapping) {
+  const values = {};
+  for (const field of entityMapping.fields) {
+    if (isTracked(field) && field.property in pbData) {
+      values[field.property] = pbData[field.property];
+    }
+  }
+  return values;
+}
+
+/**
+ * Apply the ownership rules to an existing page.
+ * notionData / pbData are the comparable views (readPage / toComparable) of the same fields.
+ * Returns:
+ *   exclude   - properties the sync must neither compare nor write
+ *   conflicts - [{ property, notion, productboard, lastSynced }] edited on both sides
+ *   keptEdits - properties edited in Notion while ProductBoard stayed the same
+ *   writeBack - [{ field, value }] Notion edits to push to ProductBoard (options.writeBack)
+ *   values    - last-synced values to store for this page
+ *   clean     - true when no manual edit is being kept (safe to record last_edited_time)
+ */
+export function resolveOwnership(page, entityMapping, notionData, pbData, pageState, options = {}) {
+  const result = { exclude: [], conflicts: [], keptEdits: [], writeBack: [], values: {}, clean: true };
+
+  // The page hasn't changed since the sync last wrote it, so nothing was edited by hand
+  const untouched = Boolean(pageState?.lastEditedTime) && pageState.lastEditedTime === page.last_edited_time;
+
+  for (const field of entityMapping.fields) {
+    const { property } = field;
+    if (!(property in pbData)) continue;
+
+    if (field.ownership === 'notion') {
+      result.exclude.push(property);
+      continue;
+    }
+    const twoWay = Boolean(options.writeBack && field.writeBack);
+    if (field.ownership !== 'productboard-unless-edited' && !twoWay) continue;
+
+    const notionValue = notionData[property];
+    const pbValue = pbData[property];
+    const lastSynced = pageState?.values?.[property];
+
+    // No baseline yet (first run with this rule), no edit, or nothing to disagree about: ProductBoard wins
+    if (untouched || lastSynced === undefined || sameValue(notionValue, lastSynced) || sameValue(notionValue, pbValue)) {
+      result.values[property] = pbValue;
+      continue;
+    }
+
+    // Edited in Notion since the last sync: keep the edit
+    result.exclude.push(property);
+    result.clean = false;
+
+    if (sameValue(pbValue, lastSynced)) {
+      // Only Notion changed: with two-way sync it goes to ProductBoard, which also keeps
+      // the next forward sync from bouncing the old value back. The new last-synced value
+      // is recorded once that write succeeds.
+      if (twoWay) {
+        result.writeBack.push({ field, value: notionValue });
+      } else {
+        result.values[property] = lastSynced;
+        result.keptEdits.push(property);
+      }
+    } else {
+      result.values[property] = lastSynced;
+      result.conflicts.push({ property, notion: notionValue, productboard: pbValue, lastSynced });
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,89 @@
+// notion-client.js
+// Rate-limited, retrying Notion client shared by the migrate and sync scripts
+
+import { Client } from '@notionhq/client';
+import { createRateLimiter } from './rate-limiter.js';
+import { envNumber, parseRetryAfter, withRetry } from './retry.js';
+
+// 429 rate_limited, 409 conflict_error and 5xx responses are transient in Notion
+const RETRYABLE_STATUSES = new Set([409, 429, 500, 502, 503, 504]);
+
+// Notion rejects these before writing anything, so even a create can be sent again
+const REJECTED_STATUSES = new Set([409, 429]);
+
+// POSTs that only read (database / data source queries, search)
+const READ_ONLY_POST = /\/(query|search)$/;
+
+/**
+ * Whether a failed request may be sent again. A create (POST) that hit a 5xx or a dropped
+ * connection may already have written its page, and a retry would create a duplicate.
+ */
+function isIdempotent(url, init) {
+  const method = (init.method || 'GET').toUpperCase();
+  return method !== 'POST' || READ_ONLY_POST.test(new URL(url).pathname);
+}
+
+let limiter = null;
+
+function getLimiter() {
+  // Created lazily so values from .env.personal are picked up; one bucket per process
+  if (!limiter) {
+    const ratePerSecond = envNumber('NOTION_RATE_LIMIT_PER_SEC', 3);
+    limiter = createRateLimiter({
+      ratePerSecond,
+      burst: envNumber('NOTION_RATE_LIMIT_BURST', ratePerSecond)
+    });
+  }
+  return limiter;
+}
+
+class RetryableResponseError extends Error {
+  constructor(response) {
+    super(`Notion API responded ${response.status} ${response.statusText}`);
+    this.name = 'RetryableResponseError';
+    this.status = response.status;
+    this.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+  }
+}
+
+/**
+ * Drop-in replacement for fetch() against api.notion.com.
+ * Every call waits for a rate-limit token, and transient responses are retried
+ * with backoff. Once attempts run out the last response is returned as-is so
+ * callers (including the SDK) still see Notion's own error body.
+ */
+export async function notionFetch(url, init = {}) {
+  const maxAttempts = envNumber('NOTION_MAX_ATTEMPTS', 5);
+  const idempotent = isIdempotent(String(url), init);
+  const retryable = idempotent ? RETRYABLE_STATUSES : REJECTED_STATUSES;
+
+  return withRetry(async (attempt) => {
+    await getLimiter().acquire();
+    const response = await fetch(url, init);
+
+    if (retryable.has(response.status) && attempt < maxAttempts) {
+      // Drain the body so the connection can be reused
+      await response.text().catch(() => {});
+      throw new RetryableResponseError(response);
+    }
+    return response;
+  }, {
+    maxAttempts,
+    baseDelayMs: envNumber('NOTION_RETRY_BASE_MS', 1000),
+    maxDelayMs: envNumber('NOTION_RETRY_MAX_MS', 30000),
+    shouldRetry: error => error instanceof RetryableResponseError || (idempotent && error.name === 'TypeError'),
+    onRetry: (error, attempt, delay) => {
+      console.error(`   ⏳ Notion request failed (attempt ${attempt}): ${error.message} - retrying in ${delay}ms`);
+    }
+  });
+}
+
+export function createNotionClient(options = {}) {
+  return new Client({
+    auth: process.env.NOTION_API_KEY,
+    // The SDK timeout covers all retries of a request, so leave room for backoff
+    timeoutMs: envNumber('NOTION_TIMEOUT_MS', 300000),
+    ...options,
+    fetch: notionFetch
+  });
+}
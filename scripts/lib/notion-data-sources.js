@@ -0,0 +1,66 @@
+// notion-data-sources.js
+// Resolves Notion databases to their data sources. Since Notion-Version 2025-09-03 queries,
+// schemas and new pages live on a data source, and one database can hold several of them.
+
+import { collectPaginatedAPI } from '@notionhq/client';
+
+const dataSourceCache = new Map(); // database ID → [{ id, name }]
+
+// Environment variable for an entity, e.g. ('releaseGroups', 'DB_ID') → NOTION_RELEASE_GROUPS_DB_ID
+export function notionEnvName(entity, suffix) {
+  return `NOTION_${entity.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}_${suffix}`;
+}
+
+// Data sources of a database, in the order Notion lists them (retrieved once per process)
+export async function getDataSources(notion, databaseId) {
+  if (!dataSourceCache.has(databaseId)) {
+    const database = await notion.databases.retrieve({ database_id: databaseId });
+    const dataSources = database.data_sources || [];
+    if (dataSources.length === 0) {
+      throw new Error(`Notion database ${databaseId} has no data sources the integration can access`);
+    }
+    dataSourceCache.set(databaseId, dataSources);
+  }
+  return dataSourceCache.get(databaseId);
+}
+
+/**
+ * Data source new pages are created in: NOTION_<LABEL>_DATA_SOURCE_ID when set (it must
+ * belong to the database), otherwise the database's first data source.
+ */
+export async function getTargetDataSource(notion, databaseId, label) {
+  const dataSources = await getDataSources(notion, databaseId);
+  const envName = notionEnvName(label, 'DATA_SOURCE_ID');
+  const configuredId = process.env[envName];
+
+  if (!configuredId) {
+    return dataSources[0];
+  }
+
+  const normalize = id => id.replace(/-/g, '').toLowerCase();
+  const match = dataSources.find(dataSource => normalize(dataSource.id) === normalize(configuredId));
+  if (!match) {
+    throw new Error(`${envName} (${configuredId}) is not a data source of database ${databaseId}`);
+  }
+  return match;
+}
+
+// Every page in one data source, following next_cursor
+export async function queryDataSource(notion, dataSourceId, options = {}) {
+  const results = await collectPaginatedAPI(notion.dataSources.query, {
+    data_source_id: dataSourceId,
+    page_size: 100,
+    ...options
+  });
+  // Wiki data sources can return nested data sources alongside pages
+  return results.filter(result => result.object === 'page');
+}
+
+// Every page in a database, across all of its data sources
+export async function queryDatabase(notion, databaseId, options = {}) {
+  const pages = [];
+  for (const dataSource of await getDataSources(notion, databaseId)) {
+    pages.push(...await queryDataSource(notion, dataSource.id, options));
+  }
+  return pages;
+}
@@ -0,0 +1,105 @@
+// notion-id-map.js
+// Maps ProductBoard IDs to existing Notion pages; used by the sync to diff and by the
+// migration to skip pages it already created
+
+import { readIdentity } from './notion-mapping.js';
+import { getDataSources, getTargetDataSource, notionEnvName, queryDatabase } from './notion-data-sources.js';
+
+/**
+ * Build the ID mapping from existing Notion pages, for every entity in the field mapping
+ * (releases, features, releaseGroups, objectives). databaseIds overrides NOTION_<ENTITY>_DB_ID per entity.
+ * Returns idMap[entity] (ProductBoard ID → Notion page ID) plus pages[entity]
+ * (ProductBoard ID → full page from the query results).
+ * When several pages share a ProductBoard ID the last one wins; all of them are listed in
+ * duplicates[entity] (ProductBoard ID → [pages]).
+ * Pages are read from every data source of each database (dataSources[entity]);
+ * parents[entity] is the `parent` to use when creating pages.
+ */
+export async function buildIdMapping(notionClient, mapping, databaseIds = {}) {
+  if (!notionClient || !notionClient.dataSources) {
+    throw new Error('Invalid Notion client passed to buildIdMapping');
+  }
+
+  const idMap = {
+    // Full page objects from the query results: the current Notion state used for diffing
+    pages: {},
+    // Only IDs with 2+ pages: PB ID → every page carrying it
+    duplicates: {},
+    dataSources: {}, // Entity → [{ id, name }]
+    parents: {}      // Entity → page parent in the target data source
+  };
+
+  for (const entity of Object.keys(mapping)) {
+    const databaseId = databaseIds[entity] || process.env[notionEnvName(entity, 'DB_ID')];
+    idMap[entity] = new Map(); // PB ID → Notion page ID
+    idMap.pages[entity] = new Map();
+    idMap.duplicates[entity] = new Map();
+
+    const pages = await queryDatabase(notionClient, databaseId);
+    idMap.dataSources[entity] = await getDataSources(notionClient, databaseId);
+    const target = await getTargetDataSource(notionClient, databaseId, entity);
+    idMap.parents[entity] = { type: 'data_source_id', data_source_id: target.id };
+
+    pages.forEach(page => {
+      const pbId = readIdentity(page, mapping[entity]);
+      if (pbId) {
+        if (idMap.pages[entity].has(pbId)) {
+          const pagesForId = idMap.duplicates[entity].get(pbId) || [idMap.pages[entity].get(pbId)];
+          idMap.duplicates[entity].set(pbId, [...pagesForId, page]);
+        }
+        idMap[entity].set(pbId, page.id);
+        idMap.pages[entity].set(pbId, page);
+      }
+    });
+  }
+
+  return idMap;
+}
+
+// Full list of related page IDs; query results stop at 25 (has_more), so page through the rest
+export async function readRelationIds(notionClient, page, propertyName) {
+  const property = page.properties[propertyName];
+  if (!property) return [];
+  if (!property.has_more) {
+    return (property.relation || []).map(r => r.id);
+  }
+
+  const ids = [];
+  let startCursor = undefined;
+  do {
+    const response = await notionClient.pages.properties.retrieve({
+      page_id: page.id,
+      property_id: property.id,
+      start_cursor: startCursor
+    });
+    response.results.forEach(item => ids.push(item.relation.id));
+    startCursor = response.has_more ? response.next_cursor : undefined;
+  } while (startCursor);
+
+  return ids;
+}
+
+/**
+ * Replace every mapped relation the query truncated at 25 items (has_more) with the full list,
+ * on the pages in idMap.pages, so the sync compares and snapshots them like any other value.
+ * Returns the number of relations that were paged through.
+ */
+export async function expandTruncatedRelations(notionClient, idMap, mapping) {
+  let expanded = 0;
+
+  for (const entity of Object.keys(mapping)) {
+    const relations = mapping[entity].fields.filter(field => field.type === 'relation');
+    for (const page of idMap.pages[entity].values()) {
+      for (const field of relations) {
+        const property = page.properties[field.property];
+        if (!property?.has_more) continue;
+
+        const ids = await readRelationIds(notionClient, page, field.property);
+        page.properties[field.property] = { ...property, relation: ids.map(id => ({ id })), has_more: false };
+        expanded++;
+      }
+    }
+  }
+
+  return expanded;
+}
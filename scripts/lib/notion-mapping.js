@@ -0,0 +1,324 @@
+// notion-mapping.js
+// Shared ProductBoard → Notion mapping used by both the migration and the incremental sync.
+// Driven by the field mapping (see field-mapping.js): every field written by mapToNotion
+// has a matching reader, so the sync can compare all of them.
+
+import { getIdentityField, TRANSFORMS } from './field-mapping.js';
+import { CUSTOM_FIELD_SOURCE } from './custom-fields.js';
+
+function getPath(obj, sourcePath) {
+  // "customFields.Est. effort" → obj.customFields["Est. effort"]: custom field names may hold dots
+  if (sourcePath.startsWith(CUSTOM_FIELD_SOURCE)) {
+    return obj.customFields?.[sourcePath.slice(CUSTOM_FIELD_SOURCE.length)];
+  }
+  // "raw.owner.email" → obj.raw.owner.email
+  return sourcePath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function toArray(value) {
+  if (isEmpty(value)) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Notion limits each rich text item to 2000 characters and a property to 100 items
+const RICH_TEXT_ITEM_LENGTH = 2000;
+const RICH_TEXT_ITEMS = 100;
+
+function richText(value) {
+  // Empty array clears the property on update
+  if (isEmpty(value)) return [];
+
+  // Longer text (e.g. a description) is split over several items, which read back as one string
+  const text = String(value);
+  const items = [];
+  let start = 0;
+  while (start < text.length && items.length < RICH_TEXT_ITEMS) {
+    let end = Math.min(start + RICH_TEXT_ITEM_LENGTH, text.length);
+    // Don't split a surrogate pair (emoji) across two items
+    if (end < text.length && /[\uD800-\uDBFF]/.test(text[end - 1])) end--;
+    items.push({ text: { content: text.slice(start, end) } });
+    start = end;
+  }
+  return items;
+}
+
+// Source value after the optional transform
+function sourceValue(entity, field) {
+  const value = getPath(entity, field.source);
+  return field.transform ? TRANSFORMS[field.transform](value) : value;
+}
+
+// Resolve ProductBoard IDs to Notion page IDs. Unknown pages (e.g. a failed create) are
+// skipped; undefined when none of the IDs could be resolved, so the relation is left alone.
+function resolveRelation(value, field, context) {
+  const pbIds = toArray(value);
+  const pageIds = context.pageIds?.[field.target];
+  const resolved = pbIds.map(pbId => pageIds?.get(pbId)).filter(Boolean);
+
+  if (pbIds.length > 0 && resolved.length === 0) {
+    return undefined;
+  }
+  return resolved;
+}
+
+// Normalized value used for comparison, shared by the ProductBoard and Notion sides
+function normalize(type, value) {
+  switch (type) {
+    case 'number':
+      return isEmpty(value) ? null : Number(value);
+    case 'checkbox':
+      return Boolean(value);
+    case 'multi_select':
+    case 'relation':
+      return toArray(value).map(String).sort();
+    default:
+      return isEmpty(value) ? null : String(value);
+  }
+}
+
+function toPropertyValue(type, value) {
+  switch (type) {
+    case 'title':
+      return { title: richText(value) };
+    case 'rich_text':
+      return { rich_text: richText(value) };
+    case 'select':
+      return { select: isEmpty(value) ? null : { name: String(value) } };
+    case 'multi_select':
+      return { multi_select: toArray(value).map(name => ({ name: String(name) })) };
+    case 'date':
+      return { date: isEmpty(value) ? null : { start: String(value) } };
+    case 'url':
+      return { url: isEmpty(value) ? null : String(value) };
+    case 'number':
+      return { number: normalize('number', value) };
+    case 'checkbox':
+      return { checkbox: Boolean(value) };
+    case 'relation':
+      return { relation: toArray(value).map(id => ({ id })) };
+    default:
+      throw new Error(`Unsupported Notion property type: ${type}`);
+  }
+}
+
+function fromPropertyValue(type, property) {
+  if (!property) return normalize(type, null);
+
+  switch (type) {
+    case 'title':
+    case 'rich_text':
+      return normalize(type, (property[type] || []).map(t => t.plain_text).join(''));
+    case 'select':
+      return normalize(type, property.select?.name);
+    case 'multi_select':
+      return normalize(type, (property.multi_select || []).map(option => option.name));
+    case 'date':
+      return normalize(type, property.date?.start);
+    case 'url':
+      return normalize(type, property.url);
+    case 'number':
+      return normalize(type, property.number);
+    case 'checkbox':
+      return normalize(type, property.checkbox);
+    case 'relation':
+      return normalize(type, (property.relation || []).map(r => r.id));
+    default:
+      return null;
+  }
+}
+
+// Fields that take part in a given write phase. Deferred fields (e.g. a release's Features
+// relation) are written once every page exists; `exclude` drops properties by name (e.g.
+// fields owned by Notion on an existing page).
+function fieldsFor(entityMapping, { deferred = false, exclude = [] } = {}) {
+  return entityMapping.fields.filter(field =>
+    Boolean(field.deferred) === deferred && !exclude.includes(field.property)
+  );
+}
+
+/**
+ * Map a ProductBoard entity to Notion properties.
+ * context.pageIds[target] maps ProductBoard IDs to Notion page IDs for relations;
+ * a relation whose pages aren't known yet is left out rather than cleared.
+ */
+export function mapToNotion(entity, entityMapping, context = {}, options = {}) {
+  const properties = {};
+
+  for (const field of fieldsFor(entityMapping, options)) {
+    let value = sourceValue(entity, field);
+
+    if (field.type === 'relation') {
+      value = resolveRelation(value, field, context);
+      if (value === undefined) continue;
+    }
+
+    properties[field.property] = toPropertyValue(field.type, value);
+  }
+
+  return properties;
+}
+
+// Comparable view of a ProductBoard entity, keyed by Notion property name (same shape as readPage)
+export function toComparable(entity, entityMapping, context = {}, options = {}) {
+  const comparable = {};
+
+  for (const field of fieldsFor(entityMapping, options)) {
+    let value = sourceValue(entity, field);
+
+    if (field.type === 'relation') {
+      value = resolveRelation(value, field, context);
+      if (value === undefined) continue;
+    }
+
+    comparable[field.property] = normalize(field.type, value);
+  }
+
+  return comparable;
+}
+
+// Extract comparable data from a Notion page (as returned by queries or pages.retrieve)
+export function readPage(page, entityMapping, options = {}) {
+  const data = {};
+  for (const field of fieldsFor(entityMapping, options)) {
+    data[field.property] = fromPropertyValue(field.type, page.properties[field.property]);
+  }
+  return data;
+}
+
+// Fields touched by the "mark" removal policy: every relation (cleared so the page stops
+// showing up under its old release(s)) plus the entity's "removed" marker
+function removalFields(entityMapping) {
+  const marker = entityMapping.removed;
+  return [
+    ...entityMapping.fields.filter(field => field.type === 'relation').map(field => ({ ...field, value: [] })),
+    { property: marker.property, type: marker.type, value: marker.value }
+  ];
+}
+
+// Properties written by the "mark" removal policy
+export function mapRemovedToNotion(entityMapping) {
+  const properties = {};
+  for (const field of removalFields(entityMapping)) {
+    properties[field.property] = toPropertyValue(field.type, field.value);
+  }
+  return properties;
+}
+
+// Changes the "mark" removal policy would make to a page, or null if it's already marked
+export function detectRemovalChanges(page, entityMapping) {
+  const current = {};
+  const marked = {};
+  for (const field of removalFields(entityMapping)) {
+    current[field.property] = fromPropertyValue(field.type, page.properties[field.property]);
+    marked[field.property] = normalize(field.type, field.value);
+  }
+  return detectChanges(current, marked);
+}
+
+// Rich text as returned by the API → rich text that can be written back (mentions become plain text)
+function writableRichText(items = []) {
+  return items.map(item => ({
+    type: 'text',
+    text: { content: item.plain_text, link: item.href ? { url: item.href } : null },
+    annotations: item.annotations
+  }));
+}
+
+// A property value as returned by the API → the same value in update-payload form
+function toWritableValue(property) {
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return { [property.type]: writableRichText(property[property.type]) };
+    case 'select':
+    case 'status':
+      return { [property.type]: property[property.type] ? { name: property[property.type].name } : null };
+    case 'multi_select':
+      return { multi_select: property.multi_select.map(option => ({ name: option.name })) };
+    case 'relation':
+      return { relation: property.relation.map(r => ({ id: r.id })) };
+    case 'people':
+      return { people: property.people.map(person => ({ id: person.id })) };
+    case 'date':
+    case 'url':
+    case 'number':
+    case 'checkbox':
+    case 'email':
+    case 'phone_number':
+      return { [property.type]: property[property.type] };
+    default:
+      return undefined; // Computed (formula, rollup, ...) or unsupported
+  }
+}
+
+/**
+ * Snapshot of a page's current values for the given properties, in update-payload form,
+ * so a later update can be reverted. Relations truncated at 25 items (has_more) can't be
+ * restored from a query result and are listed in `skipped` instead.
+ */
+export function captureProperties(page, propertyNames) {
+  const properties = {};
+  const skipped = [];
+
+  for (const name of propertyNames) {
+    const property = page.properties[name];
+    if (!property) {
+      skipped.push(name);
+      continue;
+    }
+    const value = property.has_more ? undefined : toWritableValue(property);
+    if (value === undefined) {
+      skipped.push(name);
+    } else {
+      properties[name] = value;
+    }
+  }
+
+  return { properties, skipped };
+}
+
+// Query results and pages.retrieve truncate relations at 25 items; such values can't be compared
+export function hasTruncatedRelations(page, entityMapping, options = {}) {
+  return fieldsFor(entityMapping, options).some(field =>
+    field.type === 'relation' && page.properties[field.property]?.has_more
+  );
+}
+
+// ProductBoard ID stored on a Notion page, or null
+export function readIdentity(page, entityMapping) {
+  const field = getIdentityField(entityMapping);
+  return fromPropertyValue(field.type, page.properties[field.property]);
+}
+
+// Compare two objects and return changed properties
+export function detectChanges(oldData, newData) {
+  const changes = {};
+
+  for (const [key, newValue] of Object.entries(newData)) {
+    const oldValue = oldData[key];
+
+    // Normalize null/undefined
+    const normalizedOld = oldValue === null || oldValue === undefined ? null : String(oldValue);
+    const normalizedNew = newValue === null || newValue === undefined ? null : String(newValue);
+
+    if (normalizedOld !== normalizedNew) {
+      changes[key] = { old: oldValue, new: newValue };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+export function removeUndefinedProperties(obj) {
+  const cleaned = {};
+  for (const [key, value] of Object.entries(obj)) {
+    if (value !== undefined) {
+      cleaned[key] = value;
+    }
+  }
+  return cleaned;
+}
@@ -0,0 +1,86 @@
+// notion-schema.js
+// Notion property schema expected by the field mapping, in the form databases.create /
+// dataSources.update take it
+
+// Options a select field should offer: the mapping's "options" plus the removal marker
+export function selectOptions(field, entityMapping) {
+  const options = (field.options || []).map(option => (typeof option === 'string' ? { name: option } : option));
+
+  const marker = entityMapping.removed;
+  if (marker?.property === field.property && marker.type === 'select' && !options.some(option => option.name === marker.value)) {
+    options.push({ name: String(marker.value), color: 'gray' });
+  }
+  return options;
+}
+
+// Schema of a non-relation property (relations need the target's data source, see relationSchema)
+export function propertySchema(field, entityMapping) {
+  switch (field.type) {
+    case 'select':
+    case 'multi_select':
+      return { [field.type]: { options: selectOptions(field, entityMapping) } };
+    case 'number':
+      return { number: { format: 'number' } };
+    default:
+      return { [field.type]: {} };
+  }
+}
+
+/**
+ * Relation property pointing at a data source. With syncedPropertyName the relation is
+ * two-way and Notion adds the property of that name on the target side.
+ */
+export function relationSchema(dataSourceId, syncedPropertyName) {
+  if (syncedPropertyName) {
+    return {
+      relation: {
+        data_source_id: dataSourceId,
+        type: 'dual_property',
+        dual_property: { synced_property_name: syncedPropertyName }
+      }
+    };
+  }
+  return {
+    relation: { data_source_id: dataSourceId, type: 'single_property', single_property: {} }
+  };
+}
+
+// Every mapped property except relations, keyed by property name
+export function databaseSchema(entityMapping) {
+  const properties = {};
+  for (const field of entityMapping.fields) {
+    if (field.type !== 'relation') {
+      properties[field.property] = propertySchema(field, entityMapping);
+    }
+  }
+
+  // The "mark" removal policy may write a property the fields don't map
+  const marker = entityMapping.removed;
+  if (marker && !properties[marker.property]) {
+    properties[marker.property] = marker.type === 'select'
+      ? { select: { options: [{ name: String(marker.value), color: 'gray' }] } }
+      : { [marker.type]: {} };
+  }
+  return properties;
+}
+
+// Schema of a "computed" rollup or formula property from the mapping
+export function computedSchema(entry) {
+  if (entry.type === 'rollup') {
+    return {
+      rollup: {
+        relation_property_name: entry.relation,
+        rollup_property_name: entry.rollupProperty,
+        function: entry.function
+      }
+    };
+  }
+  return { formula: { expression: entry.expression } };
+}
+
+// The relation field on the other side of a two-way relation (e.g. Features ↔ Release), or null
+export function findCounterpart(mapping, entity, field) {
+  return mapping[field.target].fields.find(other =>
+    other.type === 'relation' && other.target === entity && !(field.target === entity && other === field)
+  ) || null;
+}
@@ -0,0 +1,37 @@
+// objectives.js
+// Objectives and initiatives (OKRs) for the Objectives database: each one's linked features,
+// and a health derived from those features with the release health rules (release-metrics.js)
+
+import { fetchLinkedFeatureIds } from './productboard-client.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { attachReleaseMetrics } from './release-metrics.js';
+
+/**
+ * Set objective.linkedFeatureIds on every objective and initiative. One whose links failed to
+ * load gets linksFailed instead, so its page is left as it is. Returns { pages, failed } (counts).
+ */
+export async function fetchObjectiveLinks(objectives, concurrency) {
+  const results = await mapWithConcurrency(objectives, concurrency, objective => fetchLinkedFeatureIds(objective));
+
+  objectives.forEach((objective, i) => {
+    objective.linkedFeatureIds = results[i].featureIds;
+    if (results[i].failed) objective.linksFailed = true;
+  });
+  return {
+    pages: results.reduce((pages, result) => pages + result.pages, 0),
+    failed: results.filter(result => result.failed).length
+  };
+}
+
+/**
+ * Link each objective to the linked features that were fetched (the only ones with a Notion
+ * page and health data) and set objective.metrics from them, like a release's.
+ */
+export function attachObjectiveFeatures(objectives, features, config) {
+  const fetchedFeatureIds = new Set(features.map(feature => feature.id));
+
+  objectives.forEach(objective => {
+    objective.featureIds = (objective.linkedFeatureIds || []).filter(id => fetchedFeatureIds.has(id));
+  });
+  attachReleaseMetrics(objectives, features, config);
+}
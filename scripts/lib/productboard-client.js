@@ -0,0 +1,467 @@
+// productboard-client.js
+// Shared ProductBoard API v1 client used by the fetch and sync scripts
+
+import { createRateLimiter } from './rate-limiter.js';
+import { envNumber, parseRetryAfter, withRetry } from './retry.js';
+
+const PRODUCTBOARD_API_BASE = 'https://api.productboard.com';
+
+let limiter = null;
+
+// endpoint path → { requests, pages, items } for the current run
+const paginationStats = new Map();
+
+export function formatDate(dateString) {
+  // ProductBoard: "2025-05-05T00:00:00Z" → "2025-05-05"
+  if (!dateString) return null;
+  return dateString.split('T')[0];
+}
+
+// Descriptions come back as HTML; Notion gets the plain text
+function plainText(html) {
+  return html ? html.replace(/<[^>]+>/g, '').trim() || null : null;
+}
+
+export function normalizeHealth(health) {
+  // Normalize health status: lowercase, null → "unknown"
+  if (!health) {
+    return 'unknown';
+  }
+  return String(health).toLowerCase();
+}
+
+function toUrl(endpoint) {
+  // links.next is an absolute URL, our own endpoints are relative paths
+  return endpoint.startsWith('http') ? endpoint : `${PRODUCTBOARD_API_BASE}${endpoint}`;
+}
+
+function statsKey(endpoint) {
+  // Group pages by path so "/releases?pageCursor=..." counts towards "/releases"
+  const url = new URL(toUrl(endpoint));
+  return url.pathname;
+}
+
+export class ProductBoardAPIError extends Error {
+  constructor(status, statusText, body) {
+    super(`ProductBoard API error: ${status} ${statusText} - ${body}`);
+    this.name = 'ProductBoardAPIError';
+    this.status = status;
+  }
+}
+
+function isTransient(error) {
+  // Rate limits and server errors are worth retrying; network failures surface as TypeError from fetch
+  if (error instanceof ProductBoardAPIError) {
+    return error.status === 429 || error.status >= 500;
+  }
+  return error.name === 'TypeError' || error.name === 'AbortError';
+}
+
+function getLimiter() {
+  // One bucket per process, shared by every concurrent worker
+  if (!limiter) {
+    const ratePerSecond = envNumber('PRODUCTBOARD_RATE_LIMIT_PER_SEC', 20);
+    limiter = createRateLimiter({
+      ratePerSecond,
+      burst: envNumber('PRODUCTBOARD_RATE_LIMIT_BURST', ratePerSecond)
+    });
+  }
+  return limiter;
+}
+
+// Number of ProductBoard requests the fetch phases keep in flight
+export function getFetchConcurrency() {
+  return Math.max(1, envNumber('PRODUCTBOARD_CONCURRENCY', 5));
+}
+
+function retryOptions() {
+  // Read lazily so values from .env.personal are picked up
+  return {
+    maxAttempts: envNumber('PRODUCTBOARD_MAX_ATTEMPTS', 5),
+    baseDelayMs: envNumber('PRODUCTBOARD_RETRY_BASE_MS', 500),
+    maxDelayMs: envNumber('PRODUCTBOARD_RETRY_MAX_MS', 30000)
+  };
+}
+
+async function requestProductBoard(endpoint, { method = 'GET', body } = {}) {
+  // Read the token lazily: scripts call dotenv.config() after their imports are evaluated
+  const token = process.env.PRODUCTBOARD_API_TOKEN;
+
+  await getLimiter().acquire();
+  const response = await fetch(toUrl(endpoint), {
+    method,
+    headers: {
+      'X-Version': '1',
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new ProductBoardAPIError(response.status, response.statusText, errorText);
+    // Honor Retry-After on 429s (and on 503s, where ProductBoard sometimes sends it too)
+    error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    throw error;
+  }
+
+  return await response.json();
+}
+
+export async function fetchProductBoardAPI(endpoint) {
+  return withRetry(() => requestProductBoard(endpoint), {
+    ...retryOptions(),
+    shouldRetry: isTransient,
+    onRetry: (error, attempt, delay) => {
+      console.error(`   ⏳ ProductBoard ${statsKey(endpoint)} failed (attempt ${attempt}): ${error.message} - retrying in ${delay}ms`);
+    }
+  });
+}
+
+/**
+ * Update a feature through the features API (PATCH /features/{id} with { data }).
+ * PATCH is idempotent, so transient failures are retried like reads.
+ */
+export async function updateFeature(featureId, data) {
+  const endpoint = `/features/${featureId}`;
+  const response = await withRetry(() => requestProductBoard(endpoint, { method: 'PATCH', body: { data } }), {
+    ...retryOptions(),
+    shouldRetry: isTransient,
+    onRetry: (error, attempt, delay) => {
+      console.error(`   ⏳ ProductBoard PATCH ${endpoint} failed (attempt ${attempt}): ${error.message} - retrying in ${delay}ms`);
+    }
+  });
+  return response.data;
+}
+
+// Fetch every page of a list endpoint by following links.next
+export async function fetchAllPages(endpoint) {
+  const key = statsKey(endpoint);
+  const stats = paginationStats.get(key) || { requests: 0, pages: 0, items: 0 };
+  paginationStats.set(key, stats);
+
+  const items = [];
+  const seen = new Set();
+  let next = endpoint;
+  let pages = 0;
+
+  while (next) {
+    // Guard against an API that keeps handing back the same cursor
+    if (seen.has(next)) {
+      throw new Error(`ProductBoard pagination loop detected at ${next}`);
+    }
+    seen.add(next);
+
+    const response = await fetchProductBoardAPI(next);
+    const data = response.data || [];
+    items.push(...data);
+    pages++;
+
+    next = response.links?.next || null;
+  }
+
+  stats.requests++;
+  stats.pages += pages;
+  stats.items += items.length;
+
+  return { data: items, pages };
+}
+
+// Per-endpoint page counts for everything fetched so far in this run
+export function getPaginationStats() {
+  return Object.fromEntries(paginationStats);
+}
+
+export async function fetchAllReleases() {
+  const { data: releases, pages } = await fetchAllPages('/releases');
+
+  const transformedReleases = releases.map(release => ({
+    id: release.id,
+    name: release.name,
+    startDate: formatDate(release.startDate),
+    endDate: formatDate(release.endDate),
+    state: release.state,
+    releaseGroup: release.releaseGroup?.id || null,
+    productManager: release.productManager?.name || null,
+    engineeringLead: release.engineeringLead?.name || null,
+    // Keep raw data for reference
+    raw: {
+      startDate: release.startDate,
+      endDate: release.endDate,
+      state: release.state
+    }
+  }));
+
+  return { releases: transformedReleases, pages };
+}
+
+export async function fetchAllReleaseGroups() {
+  const { data: releaseGroups, pages } = await fetchAllPages('/release-groups');
+
+  const transformedGroups = releaseGroups.map(group => ({
+    id: group.id,
+    name: group.name,
+    description: plainText(group.description),
+    isDefault: Boolean(group.isDefault)
+  }));
+
+  return { releaseGroups: transformedGroups, pages };
+}
+
+export async function fetchFeatureAssignments(releaseId) {
+  try {
+    const { data: assignments, pages } = await fetchAllPages(`/feature-release-assignments?release.id=${releaseId}`);
+
+    // Extract feature IDs from assignments
+    const featureIds = assignments.map(assignment => assignment.feature?.id).filter(Boolean);
+    return { featureIds, pages, failed: false };
+  } catch (error) {
+    // A transient failure that outlived every retry must fail the run, not silently drop features
+    if (error.retriesExhausted) {
+      throw error;
+    }
+    console.error(`   ⚠️  Failed to fetch assignments for release ${releaseId}: ${error.message}`);
+    // failed lets callers tell "no features" apart from "couldn't load features"
+    return { featureIds: [], pages: 0, failed: true };
+  }
+}
+
+// ProductBoard parents look like { "component": { "id": ... } } → { type: 'component', id }
+function parentRef(entity) {
+  const [type, ref] = Object.entries(entity.parent || {})[0] || [];
+  return ref?.id ? { type, id: ref.id } : null;
+}
+
+// Flatten a ProductBoard feature (from /features or /features/{id}) into the fields we sync
+function transformFeature(feature) {
+  // Extract health status from lastHealthUpdate
+  const health = feature.lastHealthUpdate?.status || null;
+
+  // Extract Product Manager from owner field (ProductBoard API structure)
+  // ProductBoard returns: { "owner": { "email": "test@coder.com" } }
+  const productManager = feature.owner?.email ||
+                        feature.productManager?.name ||
+                        feature.productManager?.displayName ||
+                        feature.productManager?.email ||
+                        (typeof feature.productManager === 'string' ? feature.productManager : null) ||
+                        null;
+
+  // Extract Engineering Lead (may still be in engineeringLead field)
+  const engineeringLead = feature.engineeringLead?.name ||
+                         feature.engineeringLead?.displayName ||
+                         feature.engineeringLead?.email ||
+                         (typeof feature.engineeringLead === 'string' ? feature.engineeringLead : null) ||
+                         null;
+
+  // Transform feature to include only needed fields
+  return {
+    id: feature.id,
+    name: feature.name,
+    status: feature.status?.name || null,
+    health: normalizeHealth(health),
+    productManager: productManager,
+    engineeringLead: engineeringLead,
+    productboardLink: feature.links?.html || null,
+    parent: parentRef(feature), // product, component or parent feature
+    // Keep raw data for reference
+    raw: {
+      parent: feature.parent,
+      status: feature.status,
+      lastHealthUpdate: feature.lastHealthUpdate,
+      health: health,
+      owner: feature.owner,
+      productManager: feature.productManager,
+      engineeringLead: feature.engineeringLead
+    }
+  };
+}
+
+export async function fetchFeatureDetails(featureId) {
+  try {
+    const response = await fetchProductBoardAPI(`/features/${featureId}`);
+    const feature = response.data;
+
+    if (!feature) {
+      return null;
+    }
+
+    return transformFeature(feature);
+  } catch (error) {
+    if (error.retriesExhausted) {
+      throw error;
+    }
+    console.error(`   ⚠️  Failed to fetch feature ${featureId}: ${error.message}`);
+    return null;
+  }
+}
+
+function envList(name) {
+  return (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * Backlog options from the environment, or null when backlog sync is off:
+ * SYNC_BACKLOG=true turns it on, SYNC_BACKLOG_STATUSES / SYNC_BACKLOG_COMPONENTS
+ * (comma-separated status names / component IDs) narrow it down.
+ */
+export function getBacklogFilters() {
+  if (!['1', 'true', 'yes'].includes((process.env.SYNC_BACKLOG || '').toLowerCase())) {
+    return null;
+  }
+  return {
+    statuses: envList('SYNC_BACKLOG_STATUSES'),
+    components: envList('SYNC_BACKLOG_COMPONENTS')
+  };
+}
+
+/**
+ * Every non-archived feature from the features list endpoint, whether or not it's assigned
+ * to a release. Statuses are filtered by the API (one listing per status name); components
+ * are matched against the feature's direct parent, so subfeatures of a component's features
+ * aren't included. The list returns full features, so no per-feature detail calls are made.
+ */
+export async function fetchAllFeatures({ statuses = [], components = [] } = {}) {
+  const endpoints = statuses.length > 0
+    ? statuses.map(status => `/features?status.name=${encodeURIComponent(status)}`)
+    : ['/features'];
+
+  const byId = new Map();
+  let pages = 0;
+  for (const endpoint of endpoints) {
+    const result = await fetchAllPages(endpoint);
+    result.data.forEach(feature => byId.set(feature.id, feature));
+    pages += result.pages;
+  }
+
+  const features = Array.from(byId.values())
+    .filter(feature => !feature.archived)
+    .filter(feature => components.length === 0 || components.includes(feature.parent?.component?.id))
+    .map(transformFeature);
+
+  return { features, pages };
+}
+
+/**
+ * Products and components, for placing features in the product hierarchy.
+ * Components sit under a product or another component.
+ */
+export async function fetchProductHierarchy() {
+  const products = await fetchAllPages('/products');
+  const components = await fetchAllPages('/components');
+
+  return {
+    products: products.data.map(product => ({ id: product.id, name: product.name })),
+    components: components.data.map(component => ({
+      id: component.id,
+      name: component.name,
+      parent: parentRef(component)
+    })),
+    pages: products.pages + components.pages
+  };
+}
+
+// Objectives and initiatives share one shape; type tells them apart in Notion
+function transformObjective(entity, type) {
+  return {
+    id: entity.id,
+    type,
+    name: entity.name,
+    description: plainText(entity.description),
+    status: entity.status?.name || entity.state || null,
+    owner: entity.owner?.email || null,
+    startDate: formatDate(entity.timeframe?.startDate),
+    endDate: formatDate(entity.timeframe?.endDate),
+    productboardLink: entity.links?.html || null
+  };
+}
+
+// Objectives followed by initiatives, as { objectives: [{ type: 'objective' | 'initiative', ... }], pages }
+// One of /objectives or /initiatives; a workspace without the endpoint (or a failed request)
+// yields none, flagged failed, instead of ending the run
+async function fetchObjectiveList(type) {
+  try {
+    const { data, pages } = await fetchAllPages(`/${type}s`);
+    return { objectives: data.map(entity => transformObjective(entity, type)), pages, failed: false };
+  } catch (error) {
+    if (error.retriesExhausted) {
+      throw error;
+    }
+    console.error(`   ⚠️  Failed to fetch ${type}s: ${error.message}`);
+    return { objectives: [], pages: 0, failed: true };
+  }
+}
+
+export async function fetchAllObjectives() {
+  const objectives = await fetchObjectiveList('objective');
+  const initiatives = await fetchObjectiveList('initiative');
+
+  return {
+    objectives: [...objectives.objectives, ...initiatives.objectives],
+    pages: objectives.pages + initiatives.pages,
+    // Either list missing means absent pages can't be taken as deleted
+    failed: objectives.failed || initiatives.failed
+  };
+}
+
+// IDs of the features linked to an objective or initiative
+export async function fetchLinkedFeatureIds(objective) {
+  try {
+    const { data: links, pages } = await fetchAllPages(`/${objective.type}s/${objective.id}/links/features`);
+    return { featureIds: links.map(link => link.id).filter(Boolean), pages, failed: false };
+  } catch (error) {
+    if (error.retriesExhausted) {
+      throw error;
+    }
+    console.error(`   ⚠️  Failed to fetch linked features for ${objective.type} ${objective.id}: ${error.message}`);
+    return { featureIds: [], pages: 0, failed: true };
+  }
+}
+
+// Custom field types the hierarchy-entities API lists (the type filter is required)
+const CUSTOM_FIELD_TYPES = ['text', 'custom-description', 'number', 'dropdown', 'multi-dropdown', 'member'];
+
+// Custom field definitions: [{ id, name, type, options: [labels] }]
+export async function fetchCustomFieldDefinitions() {
+  const { data: customFields, pages } = await fetchAllPages(`/hierarchy-entities/custom-fields?type=${CUSTOM_FIELD_TYPES.join(',')}`);
+
+  return {
+    customFields: customFields.map(customField => ({
+      id: customField.id,
+      name: customField.name,
+      type: customField.type,
+      options: (customField.options || []).map(option => option.label).filter(Boolean)
+    })),
+    pages
+  };
+}
+
+// A custom field value as plain data: dropdowns → option label(s), members → email, text → plain text
+function customFieldValue(value, type) {
+  if (value === null || value === undefined) return null;
+  switch (type) {
+    case 'dropdown':
+      return value.label ?? null;
+    case 'multi-dropdown':
+      return (Array.isArray(value) ? value : [value]).map(option => option?.label).filter(Boolean);
+    case 'member':
+      return value.email || value.name || null;
+    case 'text':
+    case 'custom-description':
+      return plainText(String(value));
+    default:
+      return value;
+  }
+}
+
+// One custom field's values on every hierarchy entity that has one: [{ entityId, value }]
+export async function fetchCustomFieldValues(customField) {
+  const { data: values, pages } = await fetchAllPages(`/hierarchy-entities/custom-fields-values?customField.id=${customField.id}`);
+
+  return {
+    values: values
+      .filter(entry => entry.hierarchyEntity?.id && (!entry.customField?.id || entry.customField.id === customField.id))
+      .map(entry => ({ entityId: entry.hierarchyEntity.id, value: customFieldValue(entry.value, customField.type) })),
+    pages
+  };
+}
@@ -0,0 +1,39 @@
+// rate-limiter.js
+// Token-bucket rate limiter shared by every request to one API
+
+import { sleep } from './retry.js';
+
+/**
+ * Create a limiter that allows `ratePerSecond` requests on average with
+ * bursts of up to `burst` requests. Callers await acquire() before each request;
+ * acquires are served in order so concurrent callers can't starve each other.
+ */
+export function createRateLimiter({ ratePerSecond, burst = ratePerSecond }) {
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = now;
+  }
+
+  async function takeToken() {
+    refill();
+    while (tokens < 1) {
+      await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+      refill();
+    }
+    tokens -= 1;
+  }
+
+  return {
+    acquire() {
+      const turn = queue.then(takeToken);
+      // Keep the chain alive even if a caller's turn somehow rejects
+      queue = turn.catch(() => {});
+      return turn;
+    }
+  };
+}
@@ -0,0 +1,16 @@
+// release-groups.js
+// Links release groups to their releases and derives each group's date span from them,
+// for the Release Groups database (ProductBoard release groups carry no dates of their own)
+
+// Set group.releaseIds, group.startDate (earliest release start) and group.endDate (latest release end)
+export function attachReleaseGroups(releaseGroups, releases) {
+  releaseGroups.forEach(group => {
+    const groupReleases = releases.filter(release => release.releaseGroup === group.id);
+    const startDates = groupReleases.map(release => release.startDate).filter(Boolean).sort();
+    const endDates = groupReleases.map(release => release.endDate).filter(Boolean).sort();
+
+    group.releaseIds = groupReleases.map(release => release.id);
+    group.startDate = startDates[0] || null;
+    group.endDate = endDates[endDates.length - 1] || null;
+  });
+}
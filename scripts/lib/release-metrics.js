@@ -0,0 +1,142 @@
+// release-metrics.js
+// Per-release metrics computed from the fetched features (counts by health and status,
+// percent complete, a weighted risk score and a derived release health). They're set on
+// release.metrics, so the field mapping writes them like any other ProductBoard field.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeHealth } from './productboard-client.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'release-health.json');
+
+export const HEALTH_VALUES = ['on-track', 'needs-attention', 'at-risk', 'off-track', 'unknown'];
+
+// Checked in this order: the first threshold the risk score reaches sets the release health
+const THRESHOLD_ORDER = ['off-track', 'at-risk', 'needs-attention'];
+
+const STATUS_GROUPS = ['completed', 'inProgress', 'notStarted'];
+
+function validateConfig(config, resolvedPath) {
+  const where = `Release health config ${resolvedPath}`;
+
+  for (const group of ['completed', 'inProgress', 'excluded']) {
+    if (config.statusGroups?.[group] !== undefined && !Array.isArray(config.statusGroups[group])) {
+      throw new Error(`${where}: statusGroups.${group} must be a list of ProductBoard status names`);
+    }
+  }
+  for (const health of HEALTH_VALUES) {
+    if (typeof config.healthWeights?.[health] !== 'number') {
+      throw new Error(`${where}: healthWeights.${health} must be a number`);
+    }
+  }
+  for (const group of STATUS_GROUPS) {
+    if (typeof config.statusWeights?.[group] !== 'number' || config.statusWeights[group] < 0) {
+      throw new Error(`${where}: statusWeights.${group} must be a number >= 0`);
+    }
+  }
+  for (const health of THRESHOLD_ORDER) {
+    const threshold = config.thresholds?.[health];
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 100) {
+      throw new Error(`${where}: thresholds.${health} must be a percentage between 0 and 100`);
+    }
+  }
+
+  // A release whose features all share one health scores that health's weight × 100,
+  // so each threshold must sit between the weight of its health and the one below it
+  THRESHOLD_ORDER.forEach((health, i) => {
+    const below = THRESHOLD_ORDER[i + 1] || 'on-track';
+    const ceiling = Math.round(config.healthWeights[health] * 100);
+    const floor = Math.round(config.healthWeights[below] * 100);
+    if (config.thresholds[health] > ceiling || config.thresholds[health] <= floor) {
+      throw new Error(`${where}: thresholds.${health} must be above ${floor} (healthWeights.${below} × 100) and at most ${ceiling} (healthWeights.${health} × 100)`);
+    }
+  });
+}
+
+/**
+ * Load and validate the release health config.
+ * RELEASE_HEALTH_CONFIG_PATH overrides the default config/release-health.json.
+ */
+export function loadReleaseHealthConfig(configPath = process.env.RELEASE_HEALTH_CONFIG_PATH) {
+  const resolvedPath = configPath ? path.resolve(configPath) : DEFAULT_CONFIG_PATH;
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Release health config not found at ${resolvedPath}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse release health config ${resolvedPath}: ${error.message}`);
+  }
+
+  validateConfig(config, resolvedPath);
+  return config;
+}
+
+function statusGroup(status, config) {
+  if (config.statusGroups?.completed?.includes(status)) return 'completed';
+  if (config.statusGroups?.inProgress?.includes(status)) return 'inProgress';
+  return 'notStarted';
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : 0;
+}
+
+/**
+ * Metrics for one release's features. Features in an "excluded" status (e.g. Will not
+ * implement) don't count. The risk score is the average health weight, with each feature
+ * weighted by its status group, as a percentage: 100 means every feature is off-track.
+ */
+export function computeReleaseMetrics(features, config) {
+  const counted = features.filter(feature => !config.statusGroups?.excluded?.includes(feature.status));
+
+  const health = Object.fromEntries(HEALTH_VALUES.map(value => [value, 0]));
+  const status = Object.fromEntries(STATUS_GROUPS.map(group => [group, 0]));
+  let weightedRisk = 0;
+  let totalWeight = 0;
+
+  for (const feature of counted) {
+    const featureHealth = normalizeHealth(feature.health);
+    const group = statusGroup(feature.status, config);
+    const weight = config.statusWeights[group];
+
+    health[HEALTH_VALUES.includes(featureHealth) ? featureHealth : 'unknown']++;
+    status[group]++;
+    weightedRisk += (config.healthWeights[featureHealth] ?? config.healthWeights.unknown) * weight;
+    totalWeight += weight;
+  }
+
+  const riskScore = totalWeight > 0 ? Math.round((weightedRisk / totalWeight) * 100) : 0;
+
+  let releaseHealth = 'unknown';
+  if (counted.length > 0) {
+    releaseHealth = THRESHOLD_ORDER.find(value => riskScore >= config.thresholds[value]) || 'on-track';
+  }
+
+  return {
+    featureCount: counted.length,
+    health,
+    status,
+    percentComplete: percent(status.completed, counted.length),
+    riskScore,
+    releaseHealth
+  };
+}
+
+// Set release.metrics on every release from the features linked through release.featureIds
+// (objectives.js uses the same metrics for objectives and initiatives)
+export function attachReleaseMetrics(releases, features, config) {
+  const featuresById = new Map(features.map(feature => [feature.id, feature]));
+
+  releases.forEach(release => {
+    const releaseFeatures = (release.featureIds || []).map(id => featuresById.get(id)).filter(Boolean);
+    release.metrics = computeReleaseMetrics(releaseFeatures, config);
+  });
+}
@@ -0,0 +1,59 @@
+// removal-detection.js
+// Finds the Notion pages whose ProductBoard entity is gone, for the sync's removal policy
+
+/**
+ * Notion pages (from the ID mapping) whose ProductBoard IDs weren't in this run's fetch.
+ * Guards against treating a partial fetch as a mass deletion: an entity whose list came back
+ * empty or incomplete is skipped, with a warning through options.log.
+ * Returns { releases, features, releaseGroups, objectives }, each [{ pbId, page }].
+ */
+export function findMissingPages(idMap, releases, releaseGroups, objectives, objectivesFailed, fetchedFeatureIds, assignmentResults, backlogFilters, options = {}) {
+  const log = options.log || console.log;
+  const missing = { releases: [], features: [], releaseGroups: [], objectives: [] };
+
+  if (releases.length === 0) {
+    log('   ⚠️  No releases fetched from ProductBoard - skipping removal detection', 'error');
+    return missing;
+  }
+
+  const releaseIds = new Set(releases.map(r => r.id));
+  idMap.pages.releases.forEach((page, pbId) => {
+    if (!releaseIds.has(pbId)) missing.releases.push({ pbId, page });
+  });
+
+  // ProductBoard puts every release in a group, so an empty group list means nothing to compare against
+  const releaseGroupIds = new Set(releaseGroups.map(g => g.id));
+  if (releaseGroupIds.size > 0) {
+    idMap.pages.releaseGroups.forEach((page, pbId) => {
+      if (!releaseGroupIds.has(pbId)) missing.releaseGroups.push({ pbId, page });
+    });
+  }
+
+  // Like releases, an empty objective list is never taken to mean every objective was deleted
+  const objectiveIds = new Set(objectives.map(o => o.id));
+  if (objectivesFailed) {
+    log('   ⚠️  Objectives or initiatives failed to load - skipping objective removal detection', 'error');
+  } else if (objectiveIds.size > 0) {
+    idMap.pages.objectives.forEach((page, pbId) => {
+      if (!objectiveIds.has(pbId)) missing.objectives.push({ pbId, page });
+    });
+  }
+
+  const failedAssignments = assignmentResults.filter(result => result.failed).length;
+  if (failedAssignments > 0) {
+    log(`   ⚠️  Feature assignments failed for ${failedAssignments} releases - skipping feature removal detection`, 'error');
+    return missing;
+  }
+
+  // A filtered backlog only lists some unassigned features, so the rest can't be told apart from deleted ones
+  if (backlogFilters?.statuses.length > 0 || backlogFilters?.components.length > 0) {
+    log('   ⚠️  Backlog filters are set - skipping feature removal detection');
+    return missing;
+  }
+
+  idMap.pages.features.forEach((page, pbId) => {
+    if (!fetchedFeatureIds.has(pbId)) missing.features.push({ pbId, page });
+  });
+
+  return missing;
+}
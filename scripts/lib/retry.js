@@ -0,0 +1,77 @@
+// retry.js
+// Shared retry helpers: exponential backoff with jitter and Retry-After support
+
+export async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function envNumber(name, defaultValue) {
+  // Read a numeric setting from the environment, falling back on missing/invalid values
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return defaultValue;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : defaultValue;
+}
+
+export function parseRetryAfter(headerValue) {
+  // Retry-After is either a number of seconds or an HTTP date
+  if (!headerValue) return null;
+
+  const seconds = Number(headerValue);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(headerValue);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+export function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  // "Full jitter": random delay between 0 and base * 2^(attempt - 1), capped
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run fn() until it succeeds or maxAttempts is reached.
+ * shouldRetry(error) decides whether an error is transient; error.retryAfterMs
+ * (when set) overrides the computed backoff delay, capped at maxDelayMs like it.
+ * The final error is rethrown with error.attempts and error.retriesExhausted set.
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    maxAttempts = 5,
+    baseDelayMs = 500,
+    maxDelayMs = 30000,
+    shouldRetry = () => true,
+    onRetry = null
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const retryable = shouldRetry(error);
+
+      if (!retryable || attempt >= maxAttempts) {
+        error.attempts = attempt;
+        error.retriesExhausted = retryable;
+        if (retryable) {
+          error.message = `${error.message} (gave up after ${attempt} attempts)`;
+        }
+        throw error;
+      }
+
+      // A server asking for hours (or a far-off Retry-After date) must not stall the run
+      const delay = Math.min(error.retryAfterMs ?? backoffDelay(attempt, baseDelayMs, maxDelayMs), maxDelayMs);
+      if (onRetry) {
+        onRetry(error, attempt, delay);
+      }
+      await sleep(delay);
+    }
+  }
+}
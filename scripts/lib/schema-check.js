@@ -0,0 +1,199 @@
+// schema-check.js
+// Pre-flight check of the live Notion schema against the field mapping, run before any page
+// is written: reports missing or mistyped properties and missing select options, and can add
+// the missing ones (a mistyped property is never changed - that could lose data)
+
+import { getDataSources, getTargetDataSource } from './notion-data-sources.js';
+import { computedSchema, findCounterpart, propertySchema, relationSchema, selectOptions } from './notion-schema.js';
+
+// Properties an entity's pages are written with: the mapped fields plus the removal marker
+function requiredFields(entityMapping) {
+  const fields = [...entityMapping.fields];
+  const marker = entityMapping.removed;
+  if (marker && !fields.some(field => field.property === marker.property)) {
+    fields.push({ property: marker.property, type: marker.type });
+  }
+  return fields;
+}
+
+/**
+ * Differences between one data source's properties and an entity's mapping:
+ *   missing        - mapped fields with no property of that name
+ *   mistyped       - [{ field, actual }] properties whose type doesn't match the mapping
+ *   missingOptions - [{ field, options, existing }] select options the mapping lists but Notion lacks
+ *   computed       - [{ entry, problem }] rollup / formula properties that are missing or set up
+ *                    differently (formula expressions aren't compared: Notion rewrites them)
+ */
+export function compareSchema(properties, entityMapping) {
+  const drift = { missing: [], mistyped: [], missingOptions: [], computed: [] };
+
+  for (const field of requiredFields(entityMapping)) {
+    const actual = properties[field.property];
+    if (!actual) {
+      drift.missing.push(field);
+    } else if (actual.type !== field.type) {
+      drift.mistyped.push({ field, actual: actual.type });
+    } else if (field.type === 'select' || field.type === 'multi_select') {
+      const existing = actual[field.type]?.options || [];
+      const options = selectOptions(field, entityMapping).filter(option =>
+        !existing.some(current => current.name === option.name)
+      );
+      if (options.length > 0) {
+        drift.missingOptions.push({ field, options, existing });
+      }
+    }
+  }
+
+  for (const entry of entityMapping.computed || []) {
+    const problem = computedProblem(entry, properties[entry.property]);
+    if (problem) {
+      drift.computed.push({ entry, problem });
+    }
+  }
+
+  return drift;
+}
+
+function computedProblem(entry, actual) {
+  if (!actual) return 'missing';
+  if (actual.type !== entry.type) return `is ${actual.type}, the mapping expects ${entry.type}`;
+  if (entry.type !== 'rollup') return null;
+
+  const expected = computedSchema(entry).rollup;
+  const differs = Object.keys(expected).filter(key => actual.rollup?.[key] !== expected[key]);
+  return differs.length > 0
+    ? `rollup differs (${differs.map(key => `${key}: ${actual.rollup?.[key]} → ${expected[key]}`).join(', ')})`
+    : null;
+}
+
+// Every data source of each database (databaseIds: entity → database ID) as [{ entity, id }]
+async function listDataSources(notion, databaseIds) {
+  const dataSources = [];
+  for (const [entity, databaseId] of Object.entries(databaseIds)) {
+    (await getDataSources(notion, databaseId)).forEach(({ id }) => dataSources.push({ entity, id }));
+  }
+  return dataSources;
+}
+
+// Compare every data source of each database with the mapping: [{ entity, dataSource, drift }]
+export async function checkSchema(notion, mapping, databaseIds) {
+  const results = [];
+  for (const { entity, id } of await listDataSources(notion, databaseIds)) {
+    const dataSource = await notion.dataSources.retrieve({ data_source_id: id });
+    results.push({ entity, dataSource, drift: compareSchema(dataSource.properties || {}, mapping[entity]) });
+  }
+  return results;
+}
+
+// Property updates that add what's missing on one data source. Mistyped properties are left
+// alone, and so is a missing title: a data source has exactly one, so it was renamed.
+async function repairProperties(notion, mapping, databaseIds, entity, drift) {
+  const properties = {};
+  const syncedNames = new Set(); // Added by Notion as the other side of a two-way relation
+
+  for (const field of drift.missing) {
+    if (field.type === 'title' || syncedNames.has(field.property)) continue;
+    if (field.type !== 'relation') {
+      properties[field.property] = propertySchema(field, mapping[entity]);
+      continue;
+    }
+
+    const target = await getTargetDataSource(notion, databaseIds[field.target], field.target);
+    const counterpart = findCounterpart(mapping, entity, field);
+    const targetSchema = await notion.dataSources.retrieve({ data_source_id: target.id });
+    // The other side still has the wrong type (e.g. an old text property): adding this side
+    // now would leave a one-way relation, so wait until that property is removed
+    const existing = counterpart && targetSchema.properties?.[counterpart.property];
+    if (existing && existing.type !== 'relation') continue;
+    // Two-way when the other side is mapped but missing too; Notion then adds it
+    const synced = counterpart && !targetSchema.properties?.[counterpart.property] ? counterpart.property : undefined;
+    properties[field.property] = relationSchema(target.id, synced);
+    // A self-relation's other side is missing from this same data source; don't add it twice
+    if (synced && field.target === entity) syncedNames.add(synced);
+  }
+
+  for (const { field, options, existing } of drift.missingOptions) {
+    properties[field.property] = {
+      [field.type]: {
+        options: [...existing.map(({ name, color }) => ({ name, color })), ...options]
+      }
+    };
+  }
+
+  return properties;
+}
+
+/**
+ * Add rollup / formula properties one at a time, in mapping order: a formula can only
+ * reference properties that already exist. Returns the names added.
+ */
+export async function addComputedProperties(notion, dataSourceId, entries) {
+  const added = [];
+  for (const entry of entries) {
+    await notion.dataSources.update({
+      data_source_id: dataSourceId,
+      properties: { [entry.property]: computedSchema(entry) }
+    });
+    added.push(entry.property);
+  }
+  return added;
+}
+
+function describeDrift(entity, dataSource, drift) {
+  const label = `${entity} (${dataSource.title?.[0]?.plain_text || dataSource.id})`;
+  return {
+    errors: [
+      ...drift.missing.map(field => `${label}: missing property "${field.property}" (${field.type})`),
+      ...drift.mistyped.map(({ field, actual }) => `${label}: "${field.property}" is ${actual}, the mapping expects ${field.type}`)
+    ],
+    warnings: [
+      ...drift.missingOptions.map(({ field, options }) =>
+        `${label}: "${field.property}" lacks option(s) ${options.map(option => `"${option.name}"`).join(', ')}`),
+      ...drift.computed.map(({ entry, problem }) => `${label}: ${entry.type} "${entry.property}" ${problem}`)
+    ]
+  };
+}
+
+/**
+ * Check the schema and, with options.fix, add missing properties and select options first.
+ * Each data source is re-read right before it's repaired, so a two-way relation added on
+ * one side isn't added again on the other.
+ * Returns { ok, errors, warnings }: ok is false while a property is missing or mistyped.
+ * Missing select options are only warnings - Notion adds an option when a page is written with it -
+ * and so are rollups and formulas, which the sync never writes.
+ */
+export async function runSchemaPreflight(notion, mapping, databaseIds, options = {}) {
+  const log = options.log || console.log;
+
+  if (options.fix) {
+    for (const { entity, id } of await listDataSources(notion, databaseIds)) {
+      const current = await notion.dataSources.retrieve({ data_source_id: id });
+      const drift = compareSchema(current.properties || {}, mapping[entity]);
+      const properties = await repairProperties(notion, mapping, databaseIds, entity, drift);
+      if (Object.keys(properties).length > 0) {
+        await notion.dataSources.update({ data_source_id: id, properties });
+        log(`   🔧 ${entity}: added or extended ${Object.keys(properties).map(name => `"${name}"`).join(', ')}`);
+      }
+
+      const added = await addComputedProperties(notion, id, drift.computed.filter(({ problem }) => problem === 'missing').map(({ entry }) => entry));
+      if (added.length > 0) {
+        log(`   🔧 ${entity}: added ${added.map(name => `"${name}"`).join(', ')}`);
+      }
+    }
+  }
+
+  const errors = [];
+  const warnings = [];
+  for (const { entity, dataSource, drift } of await checkSchema(notion, mapping, databaseIds)) {
+    const described = describeDrift(entity, dataSource, drift);
+    errors.push(...described.errors);
+    warnings.push(...described.warnings);
+  }
+
+  errors.forEach(error => log(`   ❌ ${error}`, 'error'));
+  warnings.forEach(warning => log(`   ⚠️  ${warning}`));
+  if (errors.length === 0 && warnings.length === 0) {
+    log('   ✅ Notion schema matches the field mapping');
+  }
+  return { ok: errors.length === 0, errors, warnings };
+}
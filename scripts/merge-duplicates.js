@@ -0,0 +1,246 @@
+// merge-duplicates.js
+// Finds Notion pages that share a Productboard ID / Feature ID, merges their relations onto
+// one survivor, moves links from other synced pages over to it and archives the rest.
+// Links from relation properties outside the field mapping, or from pages without a
+// Productboard ID, aren't moved.
+//
+// Usage:
+//   node scripts/merge-duplicates.js --dry-run          # Preview only
+//   node scripts/merge-duplicates.js                    # Merge and archive
+//   node scripts/merge-duplicates.js --keep <pageId>    # Choose the survivor (repeatable)
+
+import dotenv from 'dotenv';
+import { createNotionClient } from './lib/notion-client.js';
+import { configuredMapping, loadFieldMapping } from './lib/field-mapping.js';
+import { buildIdMapping, readRelationIds } from './lib/notion-id-map.js';
+import { mergeRelations } from './lib/duplicate-merge.js';
+
+dotenv.config({ path: '.env.personal' });
+
+const NOTION_API_KEY = process.env.NOTION_API_KEY;
+const NOTION_RELEASES_DB_ID = process.env.NOTION_RELEASES_DB_ID;
+const NOTION_FEATURES_DB_ID = process.env.NOTION_FEATURES_DB_ID;
+const NOTION_RELEASE_GROUPS_DB_ID = process.env.NOTION_RELEASE_GROUPS_DB_ID;
+const NOTION_OBJECTIVES_DB_ID = process.env.NOTION_OBJECTIVES_DB_ID;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const keepPageIds = new Set(
+  args
+    .filter((arg, i) => args[i - 1] === '--keep')
+    .map(id => id.replace(/-/g, '').toLowerCase())
+);
+
+async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function normalizePageId(id) {
+  return id.replace(/-/g, '').toLowerCase();
+}
+
+function pageTitle(page) {
+  const title = Object.values(page.properties).find(property => property.type === 'title');
+  return title?.title?.map(t => t.plain_text).join('') || '(untitled)';
+}
+
+/**
+ * Pick the page to keep: one named with --keep, otherwise the page with the most
+ * relation links (the one the rest of the workspace points at), then the oldest.
+ */
+function chooseSurvivor(candidates) {
+  const kept = candidates.find(candidate => keepPageIds.has(normalizePageId(candidate.page.id)));
+  if (kept) return kept;
+
+  return [...candidates].sort((a, b) =>
+    b.linkCount - a.linkCount || a.page.created_time.localeCompare(b.page.created_time)
+  )[0];
+}
+
+async function planGroup(notion, entityMapping, pbId, pages) {
+  const relationFields = entityMapping.fields.filter(field => field.type === 'relation');
+
+  const candidates = [];
+  for (const page of pages) {
+    const relations = {};
+    let linkCount = 0;
+    for (const field of relationFields) {
+      relations[field.property] = await readRelationIds(notion, page, field.property);
+      linkCount += relations[field.property].length;
+    }
+    candidates.push({ page, relations, linkCount });
+  }
+
+  const survivor = chooseSurvivor(candidates);
+  const duplicates = candidates.filter(candidate => candidate !== survivor);
+
+  // Relations are merged once every group's survivor is known (see mergeRelations)
+  return { pbId, candidates, survivor, duplicates, relationFields, mergedProperties: {}, inbound: [] };
+}
+
+/**
+ * Mapped relations on other synced pages (any entity) that link to a duplicate, rewritten to
+ * link to its survivor - archiving the duplicate would otherwise drop those links.
+ * survivorOf: duplicate page ID → survivor page ID. Returns [{ page, property, relation, duplicateIds }].
+ */
+async function planInboundLinks(notion, idMap, mapping, survivorOf) {
+  const links = [];
+  const survivors = new Set(survivorOf.values());
+
+  for (const [entity, entityMapping] of Object.entries(mapping)) {
+    const relationFields = entityMapping.fields.filter(field => field.type === 'relation');
+    const pages = new Map();
+    idMap.pages[entity].forEach(page => pages.set(page.id, page));
+    idMap.duplicates[entity].forEach(duplicates => duplicates.forEach(page => pages.set(page.id, page)));
+
+    for (const page of pages.values()) {
+      if (survivorOf.has(page.id)) continue; // Archived itself
+      if (survivors.has(page.id)) continue; // Its relations are merged by mergeRelations
+
+      for (const field of relationFields) {
+        const ids = await readRelationIds(notion, page, field.property);
+        const duplicateIds = ids.filter(id => survivorOf.has(id));
+        if (duplicateIds.length === 0) continue;
+
+        const relation = [...new Set(ids.map(id => survivorOf.get(id) || id))].map(id => ({ id }));
+        links.push({ page, property: field.property, relation, duplicateIds });
+      }
+    }
+  }
+
+  return links;
+}
+
+function displayGroup(group, label) {
+  console.log(`\n${label} ${group.pbId} (${group.candidates.length} pages):`);
+  group.candidates.forEach(candidate => {
+    const marker = candidate === group.survivor ? '✅ keep   ' : '🗑️  archive';
+    const links = Object.entries(candidate.relations)
+      .map(([property, ids]) => `${property}: ${ids.length}`)
+      .join(', ');
+    console.log(`   ${marker} ${candidate.page.id} "${pageTitle(candidate.page)}" created ${candidate.page.created_time} (${links || 'no relations'})`);
+    console.log(`              ${candidate.page.url}`);
+  });
+
+  Object.entries(group.mergedProperties).forEach(([property, value]) => {
+    const before = group.survivor.relations[property].length;
+    console.log(`   🔗 ${property}: ${before} → ${value.relation.length} links on the survivor after merging`);
+  });
+  group.inbound.forEach(link => {
+    console.log(`   ↪️  "${pageTitle(link.page)}" ${link.property}: link moved to the survivor`);
+  });
+}
+
+async function mergeGroup(notion, group) {
+  if (Object.keys(group.mergedProperties).length > 0) {
+    await notion.pages.update({
+      page_id: group.survivor.page.id,
+      properties: group.mergedProperties
+    });
+  }
+
+  for (const link of group.inbound) {
+    await notion.pages.update({
+      page_id: link.page.id,
+      properties: { [link.property]: { relation: link.relation } }
+    });
+  }
+
+  // Archive only after the survivor holds every link
+  for (const duplicate of group.duplicates) {
+    await notion.pages.update({ page_id: duplicate.page.id, archived: true });
+  }
+}
+
+async function main() {
+  try {
+    if (!NOTION_API_KEY || !NOTION_RELEASES_DB_ID || !NOTION_FEATURES_DB_ID) {
+      throw new Error('Missing NOTION_API_KEY, NOTION_RELEASES_DB_ID or NOTION_FEATURES_DB_ID in .env.personal');
+    }
+
+    console.log(isDryRun ? '🔍 Duplicate Pages - Dry Run (no changes will be made)\n' : '🔍 Duplicate Pages\n');
+    console.log('='.repeat(50));
+
+    // Release groups and objectives are only checked when their IDs are set
+    const mapping = configuredMapping(loadFieldMapping(), {
+      releases: NOTION_RELEASES_DB_ID,
+      features: NOTION_FEATURES_DB_ID,
+      releaseGroups: NOTION_RELEASE_GROUPS_DB_ID,
+      objectives: NOTION_OBJECTIVES_DB_ID
+    });
+    const notion = createNotionClient();
+
+    console.log('\n📋 Building ID mapping from Notion...');
+    const idMap = await buildIdMapping(notion, mapping);
+
+    const groups = { releases: [], features: [], releaseGroups: [], objectives: [] };
+    for (const entity of Object.keys(mapping)) {
+      for (const [pbId, pages] of idMap.duplicates[entity]) {
+        groups[entity].push(await planGroup(notion, mapping[entity], pbId, pages));
+      }
+    }
+
+    const allGroups = [...groups.releases, ...groups.features, ...groups.releaseGroups, ...groups.objectives];
+    const total = allGroups.length;
+    if (total === 0) {
+      console.log('\n✅ No duplicate pages found');
+      return;
+    }
+
+    // Links other pages hold to a duplicate move to its survivor before it's archived
+    const survivorOf = new Map(allGroups.flatMap(group =>
+      group.duplicates.map(duplicate => [duplicate.page.id, group.survivor.page.id])
+    ));
+    allGroups.forEach(group => {
+      group.mergedProperties = mergeRelations(group.survivor, group.duplicates, group.relationFields, survivorOf);
+    });
+    const inbound = await planInboundLinks(notion, idMap, mapping, survivorOf);
+    allGroups.forEach(group => {
+      const duplicateIds = new Set(group.duplicates.map(duplicate => duplicate.page.id));
+      group.inbound = inbound.filter(link => link.duplicateIds.some(id => duplicateIds.has(id)));
+    });
+
+    groups.releases.forEach(group => displayGroup(group, '📦 Release'));
+    groups.features.forEach(group => displayGroup(group, '🎯 Feature'));
+    groups.releaseGroups.forEach(group => displayGroup(group, '🗓️  Release group'));
+    groups.objectives.forEach(group => displayGroup(group, '🏁 Objective'));
+
+    const archiveCount = allGroups
+      .reduce((count, group) => count + group.duplicates.length, 0);
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`\n📊 ${groups.releases.length} releases, ${groups.features.length} features, ${groups.releaseGroups.length} release groups and ${groups.objectives.length} objectives have duplicates (${archiveCount} pages to archive, ${inbound.length} links from other pages to move)`);
+
+    if (isDryRun) {
+      console.log('\n✅ Dry run complete - no changes made');
+      console.log('\n💡 To merge, run: node scripts/merge-duplicates.js');
+      console.log('   Pick a different survivor with --keep <pageId>');
+      return;
+    }
+
+    console.log('\n⚠️  WARNING: This will archive duplicate pages in Notion!');
+    console.log('   Press Ctrl+C to cancel, or wait 3 seconds to continue...\n');
+    await sleep(3000);
+
+    let merged = 0;
+    for (const group of allGroups) {
+      process.stdout.write(`   Merging ${group.pbId} into ${group.survivor.page.id}... `);
+      try {
+        await mergeGroup(notion, group);
+        merged++;
+        console.log('✅');
+      } catch (error) {
+        console.log(`❌ Error: ${error.message}`);
+      }
+    }
+
+    console.log(`\n🎉 Merged ${merged}/${total} duplicate groups`);
+  } catch (error) {
+    console.error('\n💥 Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
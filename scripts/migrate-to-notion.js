@@ -1,11 +1,26 @@
 // migrate-to-notion.js
 // Phase 3/4: Migrates ProductBoard data to Notion (with dry-run support)
+// --fix-schema adds missing Notion properties and select options before the first write
 
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { Client } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
+import { configuredMapping, loadFieldMapping } from './lib/field-mapping.js';
+import {
+  detectChanges,
+  hasTruncatedRelations,
+  mapToNotion,
+  readPage,
+  removeUndefinedProperties,
+  toComparable
+} from './lib/notion-mapping.js';
+import { buildIdMapping } from './lib/notion-id-map.js';
+import { runSchemaPreflight } from './lib/schema-check.js';
+import { attachReleaseMetrics, loadReleaseHealthConfig } from './lib/release-metrics.js';
+import { attachReleaseGroups } from './lib/release-groups.js';
+import { attachObjectiveFeatures } from './lib/objectives.js';
 
 dotenv.config({ path: '.env.personal' });
 
@@ -15,17 +30,120 @@ const __dirname = path.dirname(__filename);
 const NOTION_API_KEY = process.env.NOTION_API_KEY;
 const NOTION_RELEASES_DB_ID = process.env.NOTION_RELEASES_DB_ID;
 const NOTION_FEATURES_DB_ID = process.env.NOTION_FEATURES_DB_ID;
+const NOTION_RELEASE_GROUPS_DB_ID = process.env.NOTION_RELEASE_GROUPS_DB_ID;
+const NOTION_OBJECTIVES_DB_ID = process.env.NOTION_OBJECTIVES_DB_ID;
+
+// Databases to migrate into - release groups and objectives only when their IDs are set
+const DATABASE_IDS = Object.fromEntries(Object.entries({
+  releases: NOTION_RELEASES_DB_ID,
+  features: NOTION_FEATURES_DB_ID,
+  releaseGroups: NOTION_RELEASE_GROUPS_DB_ID,
+  objectives: NOTION_OBJECTIVES_DB_ID
+}).filter(([, id]) => id));
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const isDryRun = args.includes('--dry-run');
 const isSummary = args.includes('--summary');
 const isTestOne = args.includes('--test-one');
+const fixSchema = args.includes('--fix-schema');
 
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Page IDs created so far, so an interrupted migration resumes instead of duplicating pages
+const CHECKPOINT_PATH = path.join(__dirname, '..', 'data', 'migration-checkpoint.json');
+
+function loadCheckpoint() {
+  const fresh = {
+    databases: DATABASE_IDS,
+    releases: {}, // PB release ID → Notion page ID
+    features: {}, // PB feature ID → Notion page ID
+    releaseGroups: {}, // PB release group ID → Notion page ID
+    objectives: {} // PB objective / initiative ID → Notion page ID
+  };
+  
+  if (!fs.existsSync(CHECKPOINT_PATH)) {
+    return fresh;
+  }
+  
+  // Checkpoints written before release groups and objectives lack their keys
+  const checkpoint = { ...fresh, ...JSON.parse(fs.readFileSync(CHECKPOINT_PATH, 'utf8')) };
+  const entities = new Set([...Object.keys(checkpoint.databases || {}), ...Object.keys(DATABASE_IDS)]);
+  if ([...entities].some(entity => checkpoint.databases?.[entity] !== DATABASE_IDS[entity])) {
+    console.log(`⚠️  Ignoring ${CHECKPOINT_PATH}: it belongs to different Notion databases`);
+    return fresh;
+  }
+  
+  console.log(`📍 Resuming from checkpoint (${Object.keys(checkpoint.releaseGroups).length} release groups, ${Object.keys(checkpoint.releases).length} releases, ${Object.keys(checkpoint.features).length} features, ${Object.keys(checkpoint.objectives).length} objectives created so far)`);
+  return checkpoint;
+}
+
+function saveCheckpoint(checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+  fs.writeFileSync(CHECKPOINT_PATH, JSON.stringify(checkpoint, null, 2), 'utf8');
+}
+
+/**
+ * Rebuild ProductBoard ID → Notion page ID maps from the pages already in Notion plus the
+ * checkpoint. Checkpointed pages the query didn't return (e.g. not indexed yet) are checked
+ * one by one, and dropped if they were deleted since.
+ */
+async function loadExistingPages(notion, mapping, checkpoint) {
+  console.log('📋 Checking Notion for pages that already exist...');
+  const idMap = await buildIdMapping(notion, mapping);
+  
+  for (const entity of Object.keys(mapping)) {
+    for (const [pbId, pageId] of Object.entries(checkpoint[entity])) {
+      if (idMap[entity].has(pbId)) continue;
+      
+      try {
+        const page = await notion.pages.retrieve({ page_id: pageId });
+        if (!page.archived && !page.in_trash) {
+          idMap[entity].set(pbId, pageId);
+          continue;
+        }
+      } catch (error) {
+        if (error.code !== 'object_not_found') throw error;
+      }
+      delete checkpoint[entity][pbId];
+    }
+  }
+  
+  console.log(`   ✅ ${idMap.releaseGroups?.size ?? 0} release groups, ${idMap.releases.size} releases, ${idMap.features.size} features and ${idMap.objectives?.size ?? 0} objectives already in Notion`);
+  
+  const duplicateCount = Object.values(idMap.duplicates).reduce((count, duplicates) => count + duplicates.size, 0);
+  if (duplicateCount > 0) {
+    console.log(`   ⚠️  ${duplicateCount} Productboard IDs already have more than one page - run: node scripts/merge-duplicates.js --dry-run`);
+  }
+  return idMap;
+}
+
+// Create a page unless this ProductBoard ID already has one; records new pages in the checkpoint
+async function createPageOnce(notion, entity, pbId, payload, pageMap, checkpoint) {
+  if (pageMap.has(pbId)) {
+    return { pageId: pageMap.get(pbId), created: false };
+  }
+  
+  const page = await notion.pages.create(payload);
+  pageMap.set(pbId, page.id);
+  checkpoint[entity][pbId] = page.id;
+  saveCheckpoint(checkpoint);
+  return { pageId: page.id, created: true };
+}
+
+// True when the page (as returned by the ID mapping query) already holds its deferred relations
+function relationsUpToDate(item, existingPage, entityMapping, context) {
+  if (!existingPage || hasTruncatedRelations(existingPage, entityMapping, { deferred: true })) {
+    return false;
+  }
+  return !detectChanges(
+    readPage(existingPage, entityMapping, { deferred: true }),
+    toComparable(item, entityMapping, context, { deferred: true })
+  );
+}
+
 function loadProductBoardData() {
   const dataPath = path.join(__dirname, '..', 'data', 'productboard-export.json');
   
@@ -37,87 +155,44 @@ function loadProductBoardData() {
   return data;
 }
 
-function mapReleaseToNotion(release, releaseFeatureMap) {
-  // Map ProductBoard release to Notion properties format
-  const featureIds = releaseFeatureMap[release.id] || [];
-  
+// parent: the data source to create the page in (idMap.parents from buildIdMapping)
+function buildReleaseGroupPayload(releaseGroup, mapping, context, parent) {
+  // Deferred fields (the Releases relation) are set after releases are created
   return {
-    parent: { database_id: NOTION_RELEASES_DB_ID },
-    properties: {
-      'Name': {
-        title: [{ text: { content: release.name } }]
-      },
-      'Productboard ID': {
-        rich_text: [{ text: { content: release.id } }]
-      },
-      'Start Date': release.startDate ? {
-        date: { start: release.startDate }
-      } : undefined,
-      'End Date': release.endDate ? {
-        date: { start: release.endDate }
-      } : undefined,
-      'State': release.state ? {
-        select: { name: release.state }
-      } : undefined,
-      'Release Group': release.releaseGroup ? {
-        rich_text: [{ text: { content: release.releaseGroup } }]
-      } : undefined,
-      'Product Manager': release.productManager ? {
-        rich_text: [{ text: { content: release.productManager } }]
-      } : undefined,
-      'Engineering Lead': release.engineeringLead ? {
-        rich_text: [{ text: { content: release.engineeringLead } }]
-      } : undefined,
-      // Features relation will be set after features are created
-      'Features': {
-        relation: [] // Will be populated after features are created
-      }
-    }
+    parent,
+    properties: removeUndefinedProperties(mapToNotion(releaseGroup, mapping.releaseGroups, context))
   };
 }
 
-function mapFeatureToNotion(feature, releasePageId) {
-  // Map ProductBoard feature to Notion properties format
+function buildReleasePayload(release, mapping, context, parent) {
+  // Deferred fields (the Features relation) are set after features are created
   return {
-    parent: { database_id: NOTION_FEATURES_DB_ID },
-    properties: {
-      'Name': {
-        title: [{ text: { content: feature.name } }]
-      },
-      'Feature ID': {
-        rich_text: [{ text: { content: feature.id } }]
-      },
-      'Status': feature.status ? {
-        select: { name: feature.status }
-      } : undefined,
-      'Health Status': feature.health ? {
-        select: { name: feature.health }
-      } : undefined,
-      'Product Manager': feature.productManager ? {
-        rich_text: [{ text: { content: feature.productManager } }]
-      } : undefined,
-      'Engineering Lead': feature.engineeringLead ? {
-        rich_text: [{ text: { content: feature.engineeringLead } }]
-      } : undefined,
-      'Release': releasePageId ? {
-        relation: [{ id: releasePageId }]
-      } : undefined,
-      'Productboard Link': feature.productboardLink ? {
-        url: feature.productboardLink
-      } : undefined
-    }
+    parent,
+    properties: removeUndefinedProperties(mapToNotion(release, mapping.releases, context))
   };
 }
 
-function removeUndefinedProperties(obj) {
-  // Remove undefined properties from object
-  const cleaned = {};
-  for (const [key, value] of Object.entries(obj)) {
-    if (value !== undefined) {
-      cleaned[key] = value;
-    }
-  }
-  return cleaned;
+function buildFeaturePayload(feature, mapping, context, parent) {
+  return {
+    parent,
+    properties: removeUndefinedProperties(mapToNotion(feature, mapping.features, context))
+  };
+}
+
+// Objectives and initiatives are created after features, so the Features relation goes in directly
+function buildObjectivePayload(objective, mapping, context, parent) {
+  return {
+    parent,
+    properties: removeUndefinedProperties(mapToNotion(objective, mapping.objectives, context))
+  };
+}
+
+// Deferred relations of a release (Features) or release group (Releases)
+function buildRelationPayload(item, pageId, entityMapping, context) {
+  return {
+    page_id: pageId,
+    properties: mapToNotion(item, entityMapping, context, { deferred: true })
+  };
 }
 
 function formatReleaseName(release) {
@@ -126,7 +201,7 @@ function formatReleaseName(release) {
   return `${release.name}${dateStr}`;
 }
 
-function displayDryRun(releases, features, releaseFeatureMap) {
+function displayDryRun(releaseGroups, releases, features, objectives, releaseFeatureMap) {
   // Group features by release for display
   const featuresByRelease = new Map();
   releases.forEach(release => {
@@ -136,7 +211,13 @@ function displayDryRun(releases, features, releaseFeatureMap) {
   });
   
   // Display releases
-  console.log(`Releases to Create: ${releases.length}`);
+  console.log(`Release Groups to Create: ${releaseGroups.length}`);
+  releaseGroups.forEach((group, index) => {
+    const prefix = index === releaseGroups.length - 1 ? '└' : '├';
+    console.log(`${prefix}─ ${group.name} → ${group.startDate || 'N/A'} - ${group.endDate || 'N/A'} (${group.releaseIds.length} releases)`);
+  });
+  
+  console.log(`\nReleases to Create: ${releases.length}`);
   releases.forEach((release, index) => {
     const releaseFeatures = featuresByRelease.get(release.id) || [];
     const startDate = release.startDate || 'N/A';
@@ -160,8 +241,14 @@ function displayDryRun(releases, features, releaseFeatureMap) {
     console.log(`└─ ... and ${features.length - displayLimit} more features`);
   }
   
+  console.log(`\nObjectives and Initiatives to Create: ${objectives.length}`);
+  objectives.forEach((objective, index) => {
+    const prefix = index === objectives.length - 1 ? '└' : '├';
+    console.log(`${prefix}─ ${objective.name} (${objective.type}) → ${objective.featureIds.length} features, Health: ${objective.metrics.releaseHealth}`);
+  });
+  
   // Display relations
-  const relationsCount = features.filter(f => f.releaseId).length;
+  const relationsCount = features.reduce((count, f) => count + f.releaseIds.length, 0);
   console.log(`\nRelations to Create: ${relationsCount}`);
   console.log('Feature → Release links');
 }
@@ -184,7 +271,8 @@ function displaySummary(releases, features) {
   // Count features by release
   const featuresByRelease = releases.map(r => r.featureCount || 0);
   const releasesWithFeatures = featuresByRelease.filter(count => count > 0).length;
-  const featuresWithReleases = features.filter(f => f.releaseId).length;
+  const featuresWithReleases = features.filter(f => f.releaseIds.length > 0).length;
+  const featuresWithMultipleReleases = features.filter(f => f.releaseIds.length > 1).length;
   const featuresWithoutReleases = features.length - featuresWithReleases;
   
   console.log('\nSummary:');
@@ -192,6 +280,9 @@ function displaySummary(releases, features) {
   console.log(`  - Releases with features: ${releasesWithFeatures}`);
   console.log(`- Features: ${features.length}`);
   console.log(`  - Features linked to releases: ${featuresWithReleases}`);
+  if (featuresWithMultipleReleases > 0) {
+    console.log(`  - Features in more than one release: ${featuresWithMultipleReleases}`);
+  }
   if (featuresWithoutReleases > 0) {
     console.log(`  - Features without releases: ${featuresWithoutReleases}`);
   }
@@ -209,6 +300,16 @@ async function main() {
     // Load ProductBoard data
     const pbData = loadProductBoardData();
     const { releases, features, releaseFeatureMap } = pbData;
+    // Validate the field mapping up front, even for dry runs
+    const mapping = configuredMapping(loadFieldMapping(), DATABASE_IDS);
+    // Exports written before release groups were fetched have none
+    const releaseGroups = mapping.releaseGroups ? pbData.releaseGroups || [] : [];
+    const fetchedObjectives = mapping.objectives ? pbData.objectives || [] : [];
+    // Ones whose linked features failed to load in the fetch would be created unlinked
+    const objectives = fetchedObjectives.filter(objective => !objective.linksFailed);
+    if (objectives.length < fetchedObjectives.length) {
+      console.log(`⚠️  Skipping ${fetchedObjectives.length - objectives.length} objectives whose linked features failed to load - re-run fetch-productboard.js to include them`);
+    }
     
     if (!releases || releases.length === 0) {
       throw new Error('No releases found in ProductBoard data');
@@ -218,6 +319,29 @@ async function main() {
       throw new Error('No features found in ProductBoard data');
     }
     
+    // Source for the releases' deferred Features relation
+    releases.forEach(release => {
+      release.featureIds = releaseFeatureMap[release.id] || [];
+    });
+    
+    // Source for the features' Release relation: every release the feature is assigned to.
+    // Derived from releaseFeatureMap so exports written before releaseIds existed still work.
+    features.forEach(feature => {
+      feature.releaseIds = releases
+        .filter(release => release.featureIds.includes(feature.id))
+        .map(release => release.id);
+    });
+    
+    // Health metrics written to the releases' number/select properties
+    const healthConfig = loadReleaseHealthConfig();
+    attachReleaseMetrics(releases, features, healthConfig);
+    
+    // Source for the objectives' Features relation and their health metrics
+    attachObjectiveFeatures(objectives, features, healthConfig);
+    
+    // Source for the release groups' Releases relation and date span
+    attachReleaseGroups(releaseGroups, releases);
+    
     // Dry-run mode: just display what would be created (no Notion API needed)
     if (isDryRun) {
       console.log('🚀 Starting Dry Run Migration\n');
@@ -234,15 +358,15 @@ async function main() {
       });
       
       const transformedFeatures = features.map(feature => {
-        const release = releases.find(r => r.id === feature.releaseId);
+        const featureReleases = releases.filter(r => feature.releaseIds.includes(r.id));
         return {
           ...feature,
-          releaseName: release ? release.name : null
+          releaseName: featureReleases.length > 0 ? featureReleases.map(r => r.name).join(', ') : null
         };
       });
       
       // Display what would be created
-      displayDryRun(transformedReleases, transformedFeatures, releaseFeatureMap);
+      displayDryRun(releaseGroups, transformedReleases, transformedFeatures, objectives, releaseFeatureMap);
       
       // Display summary statistics
       if (isSummary) {
@@ -277,6 +401,16 @@ async function main() {
       throw new Error('NOTION_FEATURES_DB_ID not found in .env.personal');
     }
     
+    // Pre-flight: a missing or mistyped property would fail every page write
+    console.log('🩺 Checking Notion schema against the field mapping...');
+    const schema = await runSchemaPreflight(createNotionClient(), mapping, DATABASE_IDS, { fix: fixSchema });
+    if (!schema.ok) {
+      throw new Error(fixSchema
+        ? 'Notion schema does not match the field mapping - rename or retype the properties above'
+        : 'Notion schema does not match the field mapping - fix the properties above, or rerun with --fix-schema to add missing ones');
+    }
+    console.log('');
+    
     // Test-one mode: create only the first release and its features
     if (isTestOne) {
       console.log('🧪 Test Mode: Creating ONE release and its features\n');
@@ -290,19 +424,30 @@ async function main() {
       console.log(`Test Features: ${testFeatures.length}`);
       
       // Initialize Notion client
-      const notion = new Client({ auth: NOTION_API_KEY });
+      const notion = createNotionClient();
+      const checkpoint = loadCheckpoint();
+      const idMap = await loadExistingPages(notion, mapping, checkpoint);
+      const context = {
+        pageIds: { releases: idMap.releases, features: idMap.features, releaseGroups: idMap.releaseGroups, objectives: idMap.objectives }
+      };
+      
+      // Create the release's group first so the release can link to it
+      const testGroup = releaseGroups.find(group => group.id === testRelease.releaseGroup);
+      if (testGroup) {
+        console.log(`\n🗓️  Creating release group: ${testGroup.name}...`);
+        const result = await createPageOnce(notion, 'releaseGroups', testGroup.id, buildReleaseGroupPayload(testGroup, mapping, context, idMap.parents.releaseGroups), idMap.releaseGroups, checkpoint);
+        console.log(result.created ? `✅ Release group created: ${result.pageId}` : `⏭️  Release group already exists: ${result.pageId}`);
+      }
       
       // Create release
       console.log(`\n📦 Creating release: ${testRelease.name}...`);
-      const releaseProps = mapReleaseToNotion(testRelease, releaseFeatureMap);
-      releaseProps.properties = removeUndefinedProperties(releaseProps.properties);
+      const releaseProps = buildReleasePayload(testRelease, mapping, context, idMap.parents.releases);
       
-      let releasePage;
+      let releasePageId;
       try {
-        releasePage = await notion.pages.create(releaseProps);
-        console.log(`✅ Release created: ${releasePage.id}`);
-        
-        await sleep(350);
+        const result = await createPageOnce(notion, 'releases', testRelease.id, releaseProps, idMap.releases, checkpoint);
+        releasePageId = result.pageId;
+        console.log(result.created ? `✅ Release created: ${releasePageId}` : `⏭️  Release already exists: ${releasePageId}`);
       } catch (error) {
         if (error.code === 'object_not_found') {
           console.error(`\n❌ Database not found or not shared with integration`);
@@ -323,27 +468,24 @@ async function main() {
         const feature = testFeatures[i];
         process.stdout.write(`   Creating feature ${i + 1}/${testFeatures.length}: ${feature.name}... `);
         
-        const featureProps = mapFeatureToNotion(feature, releasePage.id);
-        featureProps.properties = removeUndefinedProperties(featureProps.properties);
+        const featureProps = buildFeaturePayload(feature, mapping, context, idMap.parents.features);
         
         try {
-          const featurePage = await notion.pages.create(featureProps);
-          console.log('✅');
-          
-          // Update release to include this feature in relation
-          await notion.pages.update({
-            page_id: releasePage.id,
-            properties: {
-              'Features': {
-                relation: [{ id: featurePage.id }]
-              }
-            }
-          });
+          const result = await createPageOnce(notion, 'features', feature.id, featureProps, idMap.features, checkpoint);
+          console.log(result.created ? '✅' : '⏭️  Already exists');
         } catch (error) {
           console.log(`❌ Error: ${error.message}`);
         }
-        
-        await sleep(350);
+      }
+      
+      // Update release to include the created features in its relation
+      const hasFeaturePages = testFeatures.some(feature => idMap.features.has(feature.id));
+      if (hasFeaturePages && !relationsUpToDate(testRelease, idMap.pages.releases.get(testRelease.id), mapping.releases, context)) {
+        try {
+          await notion.pages.update(buildRelationPayload(testRelease, releasePageId, mapping.releases, context));
+        } catch (error) {
+          console.log(`❌ Failed to link features to release: ${error.message}`);
+        }
       }
       
       console.log('\n✅ Test migration complete!');
@@ -363,23 +505,67 @@ async function main() {
     }
     
     // Initialize Notion client
-    const notion = new Client({ auth: NOTION_API_KEY });
+    const notion = createNotionClient();
     
-    // Phase 1: Create releases
-    console.log('\nPhase 1/3: Creating Releases');
-    const releasePageMap = new Map(); // releaseId → Notion page ID
+    // Pages from an earlier (possibly interrupted) run are reused rather than created again
+    const checkpoint = loadCheckpoint();
+    const idMap = await loadExistingPages(notion, mapping, checkpoint);
+    const releasePageMap = idMap.releases; // releaseId → Notion page ID
+    const featurePageMap = idMap.features; // featureId → Notion page ID
+    const releaseGroupPageMap = idMap.releaseGroups; // releaseGroupId → Notion page ID
+    const objectivePageMap = idMap.objectives; // objectiveId / initiativeId → Notion page ID
+    const context = {
+      pageIds: { releases: releasePageMap, features: featurePageMap, releaseGroups: releaseGroupPageMap, objectives: objectivePageMap }
+    };
+    const counts = {
+      releaseGroups: { created: 0, existing: 0, failed: 0 },
+      releases: { created: 0, existing: 0, failed: 0 },
+      features: { created: 0, existing: 0, failed: 0 },
+      objectives: { created: 0, existing: 0, failed: 0 },
+      relations: { updated: 0, failed: 0 }
+    };
+    
+    // Phase 1: Create release groups
+    console.log('\nPhase 1/5: Creating Release Groups');
+    if (!mapping.releaseGroups) {
+      console.log('   ⏭️  NOTION_RELEASE_GROUPS_DB_ID not set - skipping release groups');
+    }
+    
+    for (let i = 0; i < releaseGroups.length; i++) {
+      const releaseGroup = releaseGroups[i];
+      process.stdout.write(`   Creating release group ${i + 1}/${releaseGroups.length}: ${releaseGroup.name}... `);
+      
+      const groupProps = buildReleaseGroupPayload(releaseGroup, mapping, context, idMap.parents.releaseGroups);
+      
+      try {
+        const result = await createPageOnce(notion, 'releaseGroups', releaseGroup.id, groupProps, releaseGroupPageMap, checkpoint);
+        counts.releaseGroups[result.created ? 'created' : 'existing']++;
+        console.log(result.created ? '✅' : '⏭️  Already exists');
+      } catch (error) {
+        if (error.code === 'object_not_found' && i === 0) {
+          console.log(`\n❌ Database not found or not shared with integration`);
+          console.log(`   Database ID: ${NOTION_RELEASE_GROUPS_DB_ID}`);
+          console.log(`\n💡 Run: node scripts/verify-setup.js to diagnose`);
+          throw error;
+        }
+        counts.releaseGroups.failed++;
+        console.log(`❌ Error: ${error.message}`);
+      }
+    }
+    
+    // Phase 2: Create releases
+    console.log('\nPhase 2/5: Creating Releases');
     
     for (let i = 0; i < releases.length; i++) {
       const release = releases[i];
       process.stdout.write(`   Creating release ${i + 1}/${releases.length}: ${release.name}... `);
       
-      const releaseProps = mapReleaseToNotion(release, releaseFeatureMap);
-      releaseProps.properties = removeUndefinedProperties(releaseProps.properties);
+      const releaseProps = buildReleasePayload(release, mapping, context, idMap.parents.releases);
       
       try {
-        const releasePage = await notion.pages.create(releaseProps);
-        releasePageMap.set(release.id, releasePage.id);
-        console.log('✅');
+        const result = await createPageOnce(notion, 'releases', release.id, releaseProps, releasePageMap, checkpoint);
+        counts.releases[result.created ? 'created' : 'existing']++;
+        console.log(result.created ? '✅' : '⏭️  Already exists');
       } catch (error) {
         if (error.code === 'object_not_found' && i === 0) {
           console.log(`\n❌ Database not found or not shared with integration`);
@@ -387,89 +573,132 @@ async function main() {
           console.log(`\n💡 Run: node scripts/verify-setup.js to diagnose`);
           throw error;
         }
+        counts.releases.failed++;
         console.log(`❌ Error: ${error.message}`);
       }
-      
-      await sleep(350);
     }
     
-    // Phase 2: Create features and link to releases
-    console.log('\nPhase 2/3: Creating Features');
-    const featurePageMap = new Map(); // featureId → Notion page ID
-    
+    // Phase 3: Create features and link to releases
+    console.log('\nPhase 3/5: Creating Features');
     for (let i = 0; i < features.length; i++) {
       const feature = features[i];
-      const releasePageId = feature.releaseId ? releasePageMap.get(feature.releaseId) : null;
-      
       process.stdout.write(`   Creating feature ${i + 1}/${features.length}: ${feature.name}... `);
       
-      const featureProps = mapFeatureToNotion(feature, releasePageId);
-      featureProps.properties = removeUndefinedProperties(featureProps.properties);
+      const featureProps = buildFeaturePayload(feature, mapping, context, idMap.parents.features);
       
       try {
-        const featurePage = await notion.pages.create(featureProps);
-        featurePageMap.set(feature.id, featurePage.id);
+        const result = await createPageOnce(notion, 'features', feature.id, featureProps, featurePageMap, checkpoint);
+        counts.features[result.created ? 'created' : 'existing']++;
         
-        const release = releasePageId ? releases.find(r => r.id === feature.releaseId) : null;
-        if (release) {
-          console.log(`✅ (linked to ${release.name})`);
+        const linkedReleases = releases.filter(r => feature.releaseIds.includes(r.id) && releasePageMap.has(r.id));
+        if (!result.created) {
+          console.log('⏭️  Already exists');
+        } else if (linkedReleases.length > 0) {
+          console.log(`✅ (linked to ${linkedReleases.map(r => r.name).join(', ')})`);
         } else {
           console.log('✅');
         }
       } catch (error) {
+        counts.features.failed++;
         console.log(`❌ Error: ${error.message}`);
       }
-      
-      await sleep(350);
     }
     
-    // Phase 3: Update release relations (two-way relations)
-    console.log('\nPhase 3/3: Updating Release Relations');
+    // Phase 4: Create objectives and initiatives, linked to their features
+    console.log('\nPhase 4/5: Creating Objectives and Initiatives');
+    if (!mapping.objectives) {
+      console.log('   ⏭️  NOTION_OBJECTIVES_DB_ID not set - skipping objectives and initiatives');
+    }
+    for (let i = 0; i < objectives.length; i++) {
+      const objective = objectives[i];
+      process.stdout.write(`   Creating ${objective.type} ${i + 1}/${objectives.length}: ${objective.name}... `);
+      
+      const objectiveProps = buildObjectivePayload(objective, mapping, context, idMap.parents.objectives);
+      
+      try {
+        const result = await createPageOnce(notion, 'objectives', objective.id, objectiveProps, objectivePageMap, checkpoint);
+        counts.objectives[result.created ? 'created' : 'existing']++;
+        console.log(result.created ? `✅ (${objective.featureIds.length} features)` : '⏭️  Already exists');
+      } catch (error) {
+        if (error.code === 'object_not_found' && i === 0) {
+          console.log(`\n❌ Database not found or not shared with integration`);
+          console.log(`   Database ID: ${NOTION_OBJECTIVES_DB_ID}`);
+          console.log(`\n💡 Run: node scripts/verify-setup.js to diagnose`);
+          throw error;
+        }
+        counts.objectives.failed++;
+        console.log(`❌ Error: ${error.message}`);
+      }
+    }
     
-    // Group features by release
-    const featuresByRelease = new Map();
-    releases.forEach(release => {
-      const featureIds = releaseFeatureMap[release.id] || [];
-      const releaseFeatures = features.filter(f => featureIds.includes(f.id));
-      featuresByRelease.set(release.id, releaseFeatures);
-    });
+    // Phase 5: Update release and release group relations (two-way relations)
+    console.log('\nPhase 5/5: Updating Release Relations');
     
     for (let i = 0; i < releases.length; i++) {
       const release = releases[i];
       const releasePageId = releasePageMap.get(release.id);
       if (!releasePageId) continue;
       
-      const releaseFeatures = featuresByRelease.get(release.id) || [];
-      const featurePageIds = releaseFeatures
-        .map(f => featurePageMap.get(f.id))
+      const featurePageIds = release.featureIds
+        .map(featureId => featurePageMap.get(featureId))
         .filter(Boolean);
       
+      // Releases finished by an earlier run already hold their relations
+      if (relationsUpToDate(release, idMap.pages.releases.get(release.id), mapping.releases, context)) continue;
+      
       if (featurePageIds.length > 0) {
         process.stdout.write(`   Updating ${release.name} with ${featurePageIds.length} features... `);
         
         try {
-          await notion.pages.update({
-            page_id: releasePageId,
-            properties: {
-              'Features': {
-                relation: featurePageIds.map(id => ({ id }))
-              }
-            }
-          });
+          await notion.pages.update(buildRelationPayload(release, releasePageId, mapping.releases, context));
+          counts.relations.updated++;
           console.log('✅');
         } catch (error) {
+          counts.relations.failed++;
           console.log(`❌ Error: ${error.message}`);
         }
+      }
+    }
+    
+    for (const releaseGroup of releaseGroups) {
+      const groupPageId = releaseGroupPageMap.get(releaseGroup.id);
+      if (!groupPageId) continue;
+      
+      const releasePageIds = releaseGroup.releaseIds.map(releaseId => releasePageMap.get(releaseId)).filter(Boolean);
+      if (relationsUpToDate(releaseGroup, idMap.pages.releaseGroups.get(releaseGroup.id), mapping.releaseGroups, context)) continue;
+      
+      if (releasePageIds.length > 0) {
+        process.stdout.write(`   Updating ${releaseGroup.name} with ${releasePageIds.length} releases... `);
         
-        await sleep(350);
+        try {
+          await notion.pages.update(buildRelationPayload(releaseGroup, groupPageId, mapping.releaseGroups, context));
+          counts.relations.updated++;
+          console.log('✅');
+        } catch (error) {
+          counts.relations.failed++;
+          console.log(`❌ Error: ${error.message}`);
+        }
       }
     }
     
+    const failed = counts.releaseGroups.failed + counts.releases.failed + counts.features.failed + counts.objectives.failed + counts.relations.failed;
+    
     console.log('\n' + '='.repeat(50));
-    console.log('\n🎉 Migration Complete!');
-    console.log(`✅ ${releases.length} releases created`);
-    console.log(`✅ ${features.length} features created`);
-    console.log(`✅ Relations established`);
+    console.log(failed > 0 ? '\n⚠️  Migration finished with errors' : '\n🎉 Migration Complete!');
+    console.log(`✅ ${counts.releaseGroups.created} release groups created (${counts.releaseGroups.existing} already existed)`);
+    console.log(`✅ ${counts.releases.created} releases created (${counts.releases.existing} already existed)`);
+    console.log(`✅ ${counts.features.created} features created (${counts.features.existing} already existed)`);
+    console.log(`✅ ${counts.objectives.created} objectives and initiatives created (${counts.objectives.existing} already existed)`);
+    console.log(`✅ ${counts.relations.updated} release relations updated`);
+    
+    if (failed > 0) {
+      console.log(`❌ ${counts.releaseGroups.failed} release groups, ${counts.releases.failed} releases, ${counts.features.failed} features, ${counts.objectives.failed} objectives and ${counts.relations.failed} relations failed`);
+      console.log(`\n💡 Re-run node scripts/migrate-to-notion.js to retry - pages that already exist are skipped`);
+      console.log(`   Checkpoint: ${CHECKPOINT_PATH}`);
+    } else if (fs.existsSync(CHECKPOINT_PATH)) {
+      // Everything is in Notion now; the ID check alone keeps future runs idempotent
+      fs.unlinkSync(CHECKPOINT_PATH);
+    }
     
   } catch (error) {
     console.error('\n💥 Fatal error:', error.message);
@@ -0,0 +1,214 @@
+// rollback-sync.js
+// Reverts one sync run using its logs/notion-payloads-<ts>.json: archives the pages the run
+// created, restores the previous values on pages it updated and unarchives pages it archived.
+// The sync state (data/sync-state.json) forgets what the run wrote to those pages.
+//
+// Usage:
+//   node scripts/rollback-sync.js logs/notion-payloads-<ts>.json --dry-run   # Preview only
+//   node scripts/rollback-sync.js logs/notion-payloads-<ts>.json             # Roll back
+//   node scripts/rollback-sync.js logs/notion-payloads-<ts>.json --force     # Include pages edited since the run
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { createNotionClient } from './lib/notion-client.js';
+import { loadSyncState, saveSyncState } from './lib/field-ownership.js';
+
+dotenv.config({ path: '.env.personal' });
+
+const NOTION_API_KEY = process.env.NOTION_API_KEY;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const isForce = args.includes('--force');
+const logPath = args.find(arg => !arg.startsWith('--'));
+
+async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function loadPayloadLog(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Payload log not found at ${resolvedPath}`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  if (!Array.isArray(data.operations) || !data.syncEndTime) {
+    throw new Error(`${resolvedPath} is not a notion-payloads log`);
+  }
+  return data;
+}
+
+/**
+ * Undo steps for a run, newest write first. Only writes that succeeded (logged with a
+ * result) are reverted; pages the run created are archived rather than restored.
+ */
+function planRollback(operations) {
+  const completed = operations.filter(entry => entry.result);
+  const createdPageIds = new Set(completed.filter(entry => entry.operation === 'create').map(entry => entry.result.id));
+  const steps = [];
+  const warnings = [];
+
+  for (const entry of [...completed].reverse()) {
+    const pageId = entry.result.id;
+    const label = `${entry.operation} ${entry.type}`;
+
+    if (entry.operation === 'create') {
+      steps.push({ pageId, label, action: 'archive', payload: { page_id: pageId, archived: true } });
+    } else if (entry.operation === 'archive') {
+      steps.push({ pageId, label, action: 'unarchive', payload: { page_id: pageId, archived: false } });
+    } else if (entry.operation === 'write-back') {
+      warnings.push(`${label} ${entry.payload.featureId}: ProductBoard writes aren't rolled back - revert ${Object.keys(entry.payload.data).join(', ')} in ProductBoard if needed`);
+    } else if (createdPageIds.has(pageId)) {
+      continue; // Archived along with the rest of the page
+    } else if (!entry.before?.properties) {
+      warnings.push(`${label} ${pageId}: no previous values in the log (run predates rollback support) - not restored`);
+    } else {
+      if (entry.before.skipped?.length > 0) {
+        warnings.push(`${label} ${pageId}: ${entry.before.skipped.join(', ')} can't be restored (not captured)`);
+      }
+      if (Object.keys(entry.before.properties).length > 0) {
+        steps.push({
+          pageId,
+          label,
+          action: 'restore',
+          payload: { page_id: pageId, properties: entry.before.properties }
+        });
+      }
+    }
+  }
+
+  return { steps, warnings };
+}
+
+// Pages edited after the run finished; reverting them would discard those edits
+async function findEditedPages(notion, steps, syncEndTime) {
+  const edited = new Set();
+  const runEnd = new Date(syncEndTime);
+
+  for (const pageId of new Set(steps.map(step => step.pageId))) {
+    try {
+      const page = await notion.pages.retrieve({ page_id: pageId });
+      if (new Date(page.last_edited_time) > runEnd) {
+        edited.add(pageId);
+      }
+    } catch (error) {
+      if (error.code !== 'object_not_found') throw error;
+      edited.add(pageId); // Deleted since; nothing sensible to revert
+    }
+  }
+
+  return edited;
+}
+
+/**
+ * Drop what the sync state remembers about the rolled-back writes: it still holds the values
+ * the run wrote, so the restored values would look like manual edits and be kept for good.
+ * Restored fields lose their last-synced value (the next sync treats them like a first run)
+ * and archived pages lose their entry. Returns the number of pages changed.
+ */
+function forgetRolledBackState(steps) {
+  const state = loadSyncState();
+  let changed = 0;
+
+  for (const step of steps) {
+    const entry = state.pages[step.pageId];
+    if (!entry) continue;
+
+    if (step.action === 'archive') {
+      delete state.pages[step.pageId];
+    } else if (step.action === 'restore') {
+      Object.keys(step.payload.properties).forEach(property => delete entry.values[property]);
+      entry.lastEditedTime = null; // Rolled-back page was written since the recorded time
+    } else {
+      continue;
+    }
+    changed++;
+  }
+
+  if (changed > 0) {
+    saveSyncState(state);
+  }
+  return changed;
+}
+
+async function main() {
+  try {
+    if (!logPath) {
+      throw new Error('Usage: node scripts/rollback-sync.js logs/notion-payloads-<ts>.json [--dry-run] [--force]');
+    }
+    if (!NOTION_API_KEY) {
+      throw new Error('NOTION_API_KEY not found in .env.personal');
+    }
+
+    const payloadLog = loadPayloadLog(logPath);
+    console.log(isDryRun ? '⏪ Rollback - Dry Run (no changes will be made)\n' : '⏪ Rollback\n');
+    console.log('='.repeat(50));
+    console.log(`\n📝 Run: ${payloadLog.syncStartTime} → ${payloadLog.syncEndTime} (${payloadLog.operations.length} logged operations)`);
+
+    const { steps, warnings } = planRollback(payloadLog.operations);
+    if (steps.length === 0) {
+      warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+      console.log('\n✅ Nothing to roll back');
+      return;
+    }
+
+    // Read every page before writing anything: our own writes bump last_edited_time
+    // on related pages (two-way relations)
+    const notion = createNotionClient();
+    console.log(`\n🔍 Checking ${new Set(steps.map(step => step.pageId)).size} pages for edits since the run...`);
+    const edited = await findEditedPages(notion, steps, payloadLog.syncEndTime);
+
+    const runnable = steps.filter(step => isForce || !edited.has(step.pageId));
+
+    console.log('\n📋 Rollback plan:');
+    steps.forEach(step => {
+      const skipped = !runnable.includes(step);
+      console.log(`   ${skipped ? '⏭️ ' : '↩️ '} ${step.action} ${step.pageId} (undoes ${step.label})${skipped ? ' - edited since the run, use --force' : ''}`);
+      if (step.action === 'restore') {
+        console.log(`       ${Object.keys(step.payload.properties).join(', ')}`);
+      }
+    });
+    warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+
+    if (isDryRun) {
+      console.log('\n✅ Dry run complete - no changes made');
+      console.log(`\n💡 To roll back, run: node scripts/rollback-sync.js ${logPath}`);
+      return;
+    }
+
+    console.log('\n⚠️  WARNING: This will change pages in Notion!');
+    console.log('   Press Ctrl+C to cancel, or wait 3 seconds to continue...\n');
+    await sleep(3000);
+
+    const done = [];
+    for (const step of runnable) {
+      process.stdout.write(`   ${step.action} ${step.pageId}... `);
+      try {
+        await notion.pages.update(step.payload);
+        done.push(step);
+        console.log('✅');
+      } catch (error) {
+        console.log(`❌ Error: ${error.message}`);
+      }
+    }
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`\n🎉 Rolled back ${done.length}/${runnable.length} writes`);
+    if (runnable.length < steps.length) {
+      console.log(`⏭️  ${steps.length - runnable.length} skipped (pages edited since the run)`);
+    }
+    const forgotten = forgetRolledBackState(done);
+    if (forgotten > 0) {
+      console.log(`🧹 Sync state reset for ${forgotten} pages - the next sync writes ProductBoard's values to the restored fields again`);
+    }
+  } catch (error) {
+    console.error('\n💥 Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,11 +1,54 @@
 // sync-productboard-to-notion.js
 // Phase 6: Incremental sync - updates existing pages, creates new ones
+//
+// Usage:
+//   node scripts/sync-productboard-to-notion.js                     # Diff and apply
+//   node scripts/sync-productboard-to-notion.js --plan              # Diff only, save the plan as JSON
+//   node scripts/sync-productboard-to-notion.js --apply <plan.json> # Apply a saved plan exactly
+//   Add --fix-schema (or SYNC_FIX_SCHEMA=true) to add missing Notion properties and select
+//   options before writing; without it, a missing or mistyped property stops the run up front
+//   Set SYNC_BACKLOG=true to also sync features that aren't assigned to any release
 
 import dotenv from 'dotenv';
-import { Client } from '@notionhq/client';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import fs from 'fs';
+import {
+  fetchAllFeatures,
+  fetchAllObjectives,
+  fetchAllReleaseGroups,
+  fetchAllReleases,
+  fetchFeatureAssignments,
+  fetchFeatureDetails,
+  fetchProductHierarchy,
+  getBacklogFilters,
+  updateFeature,
+  getFetchConcurrency,
+  getPaginationStats
+} from './lib/productboard-client.js';
+import { mapWithConcurrency } from './lib/concurrency.js';
+import { attachHierarchy, fetchParentFeatures } from './lib/feature-hierarchy.js';
+import { attachReleaseGroups } from './lib/release-groups.js';
+import { attachObjectiveFeatures, fetchObjectiveLinks } from './lib/objectives.js';
+import { attachCustomFields, customFieldBindings, fetchCustomFields } from './lib/custom-fields.js';
+import { configuredMapping, loadFieldMapping } from './lib/field-mapping.js';
+import {
+  detectChanges,
+  hasTruncatedRelations,
+  captureProperties,
+  detectRemovalChanges,
+  mapRemovedToNotion,
+  mapToNotion,
+  readPage,
+  removeUndefinedProperties,
+  toComparable
+} from './lib/notion-mapping.js';
+import { createNotionClient } from './lib/notion-client.js';
+import { loadSyncState, resolveOwnership, saveSyncState, trackedValues } from './lib/field-ownership.js';
+import { buildIdMapping, expandTruncatedRelations } from './lib/notion-id-map.js';
+import { findMissingPages } from './lib/removal-detection.js';
+import { runSchemaPreflight } from './lib/schema-check.js';
+import { attachReleaseMetrics, loadReleaseHealthConfig } from './lib/release-metrics.js';
 
 dotenv.config({ path: '.env.personal' });
 
@@ -45,13 +88,14 @@ function log(message, type = 'info') {
   }
 }
 
-function logNotionPayload(operation, type, payload, pageId = null, result = null) {
+function logNotionPayload(operation, type, payload, pageId = null, result = null, before = null) {
   const entry = {
     timestamp: new Date().toISOString(),
-    operation: operation, // 'create' or 'update'
+    operation: operation, // 'create', 'update', 'mark', 'archive' or 'write-back'
     type: type, // 'release' or 'feature'
     pageId: pageId,
     payload: JSON.parse(JSON.stringify(payload)), // Deep clone to avoid reference issues
+    before: before, // Values the page held before this write (used by rollback-sync.js)
     result: result ? {
       id: result.id,
       url: result.url,
@@ -66,354 +110,136 @@ function logNotionPayload(operation, type, payload, pageId = null, result = null
 const NOTION_API_KEY = process.env.NOTION_API_KEY;
 const NOTION_RELEASES_DB_ID = process.env.NOTION_RELEASES_DB_ID;
 const NOTION_FEATURES_DB_ID = process.env.NOTION_FEATURES_DB_ID;
+const NOTION_RELEASE_GROUPS_DB_ID = process.env.NOTION_RELEASE_GROUPS_DB_ID;
+const NOTION_OBJECTIVES_DB_ID = process.env.NOTION_OBJECTIVES_DB_ID;
 const PRODUCTBOARD_API_TOKEN = process.env.PRODUCTBOARD_API_TOKEN;
-const PRODUCTBOARD_API_BASE = 'https://api.productboard.com';
 
-// Import fetch functions from fetch-productboard.js
-// We'll inline them here for simplicity
+// Databases to sync - release groups and objectives only when their IDs are set
+const DATABASE_IDS = Object.fromEntries(Object.entries({
+  releases: NOTION_RELEASES_DB_ID,
+  features: NOTION_FEATURES_DB_ID,
+  releaseGroups: NOTION_RELEASE_GROUPS_DB_ID,
+  objectives: NOTION_OBJECTIVES_DB_ID
+}).filter(([, id]) => id));
 
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-function formatDate(dateString) {
-  if (!dateString) return null;
-  return dateString.split('T')[0];
-}
-
-function normalizeHealth(health) {
-  if (!health) return 'unknown';
-  return String(health).toLowerCase();
-}
-
-async function fetchProductBoardAPI(endpoint) {
-  const url = `${PRODUCTBOARD_API_BASE}${endpoint}`;
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'X-Version': '1',
-      'Authorization': `Bearer ${PRODUCTBOARD_API_TOKEN}`,
-      'Content-Type': 'application/json'
-    }
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`ProductBoard API error: ${response.status} ${response.statusText} - ${errorText}`);
-  }
+// Parse command line arguments
+const args = process.argv.slice(2);
+const isPlanMode = args.includes('--plan');
+const applyArg = args.includes('--apply') ? args[args.indexOf('--apply') + 1] : null;
+const applyPlanPath = applyArg && !applyArg.startsWith('--') ? applyArg : null;
+const fixSchema = args.includes('--fix-schema') || ['1', 'true', 'yes'].includes((process.env.SYNC_FIX_SCHEMA || '').toLowerCase());
 
-  return await response.json();
-}
-
-async function fetchAllReleases() {
-  const response = await fetchProductBoardAPI('/releases');
-  const releases = response.data || [];
-  
-  return releases.map(release => ({
-    id: release.id,
-    name: release.name,
-    startDate: formatDate(release.startDate),
-    endDate: formatDate(release.endDate),
-    state: release.state,
-    releaseGroup: release.releaseGroup?.id || null,
-    productManager: release.productManager?.name || null,
-    engineeringLead: release.engineeringLead?.name || null
-  }));
-}
+// What to do with Notion pages whose ProductBoard release/feature is gone:
+// ignore (leave them alone), mark (set the mapping's "removed" marker), archive
+const REMOVAL_POLICIES = ['ignore', 'mark', 'archive'];
+const SYNC_REMOVAL_POLICY = (process.env.SYNC_REMOVAL_POLICY || 'ignore').toLowerCase();
 
-async function fetchFeatureAssignments(releaseId) {
-  try {
-    const response = await fetchProductBoardAPI(`/feature-release-assignments?release.id=${releaseId}`);
-    const assignments = response.data || [];
-    return assignments.map(assignment => assignment.feature?.id).filter(Boolean);
-  } catch (error) {
-    console.error(`   ⚠️  Failed to fetch assignments for release ${releaseId}: ${error.message}`);
-    return [];
-  }
-}
-
-async function fetchFeatureDetails(featureId) {
-  try {
-    const response = await fetchProductBoardAPI(`/features/${featureId}`);
-    const feature = response.data;
-    
-    if (!feature) return null;
-    
-    const health = feature.lastHealthUpdate?.status || null;
-    
-    // Extract Product Manager from owner field (ProductBoard API structure)
-    // ProductBoard returns: { "owner": { "email": "test@coder.com" } }
-    const productManager = feature.owner?.email || 
-                          feature.productManager?.name || 
-                          feature.productManager?.displayName ||
-                          feature.productManager?.email ||
-                          (typeof feature.productManager === 'string' ? feature.productManager : null) ||
-                          null;
-    
-    // Extract Engineering Lead (may still be in engineeringLead field)
-    const engineeringLead = feature.engineeringLead?.name || 
-                           feature.engineeringLead?.displayName ||
-                           feature.engineeringLead?.email ||
-                           (typeof feature.engineeringLead === 'string' ? feature.engineeringLead : null) ||
-                           null;
-    
-    // Debug logging for first few features to verify API structure
-    if (Math.random() < 0.05) { // Log ~5% of features for debugging
-      log(`   Debug feature ${featureId}: PM=${productManager}, EL=${engineeringLead}`, 'info');
-      log(`   Raw owner: ${JSON.stringify(feature.owner)}`, 'info');
-      log(`   Raw productManager: ${JSON.stringify(feature.productManager)}`, 'info');
-      log(`   Raw engineeringLead: ${JSON.stringify(feature.engineeringLead)}`, 'info');
-    }
-    
-    return {
-      id: feature.id,
-      name: feature.name,
-      status: feature.status?.name || null,
-      health: normalizeHealth(health),
-      productManager: productManager,
-      engineeringLead: engineeringLead,
-      productboardLink: feature.links?.html || null
-    };
-  } catch (error) {
-    console.error(`   ⚠️  Failed to fetch feature ${featureId}: ${error.message}`);
-    return null;
-  }
-}
+// Opt-in two-way sync: push Notion edits of "writeBack" fields to ProductBoard
+const SYNC_WRITE_BACK = ['1', 'true', 'yes'].includes((process.env.SYNC_WRITE_BACK || '').toLowerCase());
 
 // Build ID mapping from existing Notion pages
-async function buildIdMapping(notionClient) {
+async function loadIdMapping(notionClient, mapping) {
   log('📋 Building ID mapping from Notion...');
   
-  // Debug: Check if notionClient is valid
-  if (!notionClient || !notionClient.databases) {
-    const error = 'Invalid Notion client passed to buildIdMapping';
-    log(error, 'error');
-    throw new Error(error);
-  }
-  
-  const idMap = {
-    releases: new Map(), // PB release ID → Notion page ID
-    features: new Map()   // PB feature ID → Notion page ID
-  };
-  
-  // Query releases using direct API call (databases.query endpoint)
-  let hasMore = true;
-  let startCursor = undefined;
-  
-  while (hasMore) {
-    const response = await fetch(`https://api.notion.com/v1/databases/${NOTION_RELEASES_DB_ID}/query`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${NOTION_API_KEY}`,
-        'Notion-Version': '2022-06-28',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        start_cursor: startCursor,
-        page_size: 100
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Failed to query releases database: ${response.status} ${response.statusText}`);
+  try {
+    const idMap = await buildIdMapping(notionClient, mapping);
+    const expanded = await expandTruncatedRelations(notionClient, idMap, mapping);
+    log(`   ✅ Found ${idMap.releases.size} existing releases`);
+    log(`   ✅ Found ${idMap.features.size} existing features`);
+    if (idMap.releaseGroups) {
+      log(`   ✅ Found ${idMap.releaseGroups.size} existing release groups`);
     }
-    
-    const data = await response.json();
-    
-    data.results.forEach(page => {
-      const pbId = page.properties['Productboard ID']?.rich_text?.[0]?.plain_text;
-      if (pbId) {
-        idMap.releases.set(pbId, page.id);
-      }
-    });
-    
-    hasMore = data.has_more;
-    startCursor = data.next_cursor;
-    await sleep(350);
-  }
-  
-  log(`   ✅ Found ${idMap.releases.size} existing releases`);
-  
-  // Query features using direct API call
-  hasMore = true;
-  startCursor = undefined;
-  
-  while (hasMore) {
-    const response = await fetch(`https://api.notion.com/v1/databases/${NOTION_FEATURES_DB_ID}/query`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${NOTION_API_KEY}`,
-        'Notion-Version': '2022-06-28',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        start_cursor: startCursor,
-        page_size: 100
-      })
-    });
-    
-    if (!response.ok) {
-      const error = `Failed to query features database: ${response.status} ${response.statusText}`;
-      log(error, 'error');
-      throw new Error(error);
+    if (idMap.objectives) {
+      log(`   ✅ Found ${idMap.objectives.size} existing objectives and initiatives`);
+    }
+    if (expanded > 0) {
+      log(`   🔗 Loaded ${expanded} relations with more than 25 links in full`);
     }
     
-    const data = await response.json();
-    
-    data.results.forEach(page => {
-      const pbId = page.properties['Feature ID']?.rich_text?.[0]?.plain_text;
-      if (pbId) {
-        idMap.features.set(pbId, page.id);
+    for (const entity of Object.keys(mapping)) {
+      if (idMap.dataSources[entity].length > 1) {
+        const target = idMap.dataSources[entity].find(dataSource => dataSource.id === idMap.parents[entity].data_source_id);
+        log(`   📚 ${entity} database has ${idMap.dataSources[entity].length} data sources - existing pages are read from all of them, new pages go to "${target.name}"`);
       }
-    });
-    
-    hasMore = data.has_more;
-    startCursor = data.next_cursor;
-    await sleep(350);
-  }
-  
-  log(`   ✅ Found ${idMap.features.size} existing features`);
-  
-  return idMap;
-}
-
-// Get current Notion page data for comparison
-async function getNotionPageData(notion, pageId, type) {
-  try {
-    const page = await notion.pages.retrieve({ page_id: pageId });
-    const props = page.properties;
+    }
     
-    if (type === 'release') {
-      return {
-        name: props['Name']?.title?.[0]?.plain_text || '',
-        state: props['State']?.select?.name || null,
-        releaseGroup: props['Release Group']?.rich_text?.[0]?.plain_text || null
-      };
-    } else {
-      return {
-        name: props['Name']?.title?.[0]?.plain_text || '',
-        status: props['Status']?.select?.name || null,
-        health: props['Health Status']?.select?.name || null,
-        productManager: props['Product Manager']?.rich_text?.[0]?.plain_text || null,
-        productboardLink: props['Productboard Link']?.url || null,
-        releaseId: props['Release']?.relation?.[0]?.id || null
-      };
+    const duplicateCount = Object.values(idMap.duplicates).reduce((count, duplicates) => count + duplicates.size, 0);
+    if (duplicateCount > 0) {
+      log(`   ⚠️  ${duplicateCount} Productboard IDs have more than one Notion page - only one of each is synced`, 'error');
+      log('      Run: node scripts/merge-duplicates.js --dry-run', 'error');
     }
+    return idMap;
   } catch (error) {
-    console.error(`   ⚠️  Failed to retrieve page ${pageId}: ${error.message}`);
-    return null;
+    log(error.message, 'error');
+    throw error;
   }
 }
 
-// Compare two objects and return changed properties
-function detectChanges(oldData, newData) {
-  const changes = {};
+// Placeholder page ID for a page the plan creates; swapped for the real ID once it exists
+function pendingPageId(entity, pbId) {
+  return `pending:${entity}:${pbId}`;
+}
+
+// Replace placeholder page IDs in a payload with the pages created so far. Relations keep the
+// pages that exist and are left alone if none do; null when the target page itself is missing.
+function resolvePendingIds(payload, createdPages) {
+  const resolved = JSON.parse(JSON.stringify(payload));
+  const resolve = id => (id.startsWith('pending:') ? createdPages.get(id) : id);
   
-  for (const [key, newValue] of Object.entries(newData)) {
-    const oldValue = oldData[key];
-    
-    // Normalize null/undefined
-    const normalizedOld = oldValue === null || oldValue === undefined ? null : String(oldValue);
-    const normalizedNew = newValue === null || newValue === undefined ? null : String(newValue);
-    
-    if (normalizedOld !== normalizedNew) {
-      changes[key] = { old: oldValue, new: newValue };
-    }
+  if (resolved.page_id) {
+    resolved.page_id = resolve(resolved.page_id);
+    if (!resolved.page_id) return null;
   }
   
-  return Object.keys(changes).length > 0 ? changes : null;
-}
-
-// Map release to Notion properties format
-function mapReleaseToNotion(release) {
-  return {
-    'Name': {
-      title: [{ text: { content: release.name } }]
-    },
-    'Productboard ID': {
-      rich_text: [{ text: { content: release.id } }]
-    },
-    'State': release.state ? {
-      select: { name: release.state }
-    } : undefined,
-    'Release Group': release.releaseGroup ? {
-      rich_text: [{ text: { content: release.releaseGroup } }]
-    } : undefined
-  };
-}
-
-// Map feature to Notion properties format
-function mapFeatureToNotion(feature, releasePageId) {
-  return {
-    'Name': {
-      title: [{ text: { content: feature.name } }]
-    },
-    'Feature ID': {
-      rich_text: [{ text: { content: feature.id } }]
-    },
-    'Status': feature.status ? {
-      select: { name: feature.status }
-    } : undefined,
-    'Health Status': feature.health ? {
-      select: { name: feature.health }
-    } : undefined,
-    // Always include Product Manager, even if null (to clear existing values)
-    'Product Manager': {
-      rich_text: feature.productManager ? [{ text: { content: feature.productManager } }] : []
-    },
-    'Release': releasePageId ? {
-      relation: [{ id: releasePageId }]
-    } : undefined,
-    'Productboard Link': feature.productboardLink ? {
-      url: feature.productboardLink
-    } : undefined
-  };
-}
-
-function removeUndefinedProperties(obj) {
-  const cleaned = {};
-  for (const [key, value] of Object.entries(obj)) {
-    if (value !== undefined) {
-      cleaned[key] = value;
+  for (const [name, property] of Object.entries(resolved.properties || {})) {
+    if (!property.relation) continue;
+    const ids = property.relation.map(r => resolve(r.id)).filter(Boolean);
+    if (property.relation.length > 0 && ids.length === 0) {
+      delete resolved.properties[name];
+    } else {
+      property.relation = ids.map(id => ({ id }));
     }
   }
-  return cleaned;
+  
+  return resolved;
 }
 
-async function main() {
-  const startTime = Date.now();
-  log('🚀 Starting Incremental Sync');
-  log('='.repeat(50));
-  
-  // Validate environment
-  if (!NOTION_API_KEY || !NOTION_RELEASES_DB_ID || !NOTION_FEATURES_DB_ID || !PRODUCTBOARD_API_TOKEN) {
-    const error = 'Missing required environment variables in .env.personal';
-    log(error, 'error');
-    throw new Error(error);
-  }
-  
-  const notion = new Client({ auth: NOTION_API_KEY });
-  
+// Step 1-2 fetch plus the diff: returns every write the sync would make, in execution order
+async function buildSyncPlan(notion, mapping, stats) {
   // Step 1: Build ID mapping from existing Notion pages
-  const idMap = await buildIdMapping(notion);
+  const idMap = await loadIdMapping(notion, mapping);
   
   // Step 2: Fetch fresh ProductBoard data
   log('\n📦 Fetching ProductBoard data...');
-  const releases = await fetchAllReleases();
-  log(`✅ Found ${releases.length} releases in ProductBoard`);
+  const { releases, pages: releasePages } = await fetchAllReleases();
+  log(`✅ Found ${releases.length} releases in ProductBoard (${releasePages} page${releasePages === 1 ? '' : 's'})`);
+  
+  let releaseGroups = [];
+  if (mapping.releaseGroups) {
+    const result = await fetchAllReleaseGroups();
+    releaseGroups = result.releaseGroups;
+    attachReleaseGroups(releaseGroups, releases);
+    log(`✅ Found ${releaseGroups.length} release groups in ProductBoard (${result.pages} page${result.pages === 1 ? '' : 's'})`);
+  } else {
+    log('⏭️  NOTION_RELEASE_GROUPS_DB_ID not set - skipping release groups');
+  }
   
   // Fetch feature assignments
   log('\n🔗 Fetching feature assignments...');
   const releaseFeatureMap = new Map();
+  const concurrency = getFetchConcurrency();
+  let releasesDone = 0;
   
-  for (let i = 0; i < releases.length; i++) {
-    const release = releases[i];
-    process.stdout.write(`   Processing release ${i + 1}/${releases.length}... `);
-    const featureIds = await fetchFeatureAssignments(release.id);
-    releaseFeatureMap.set(release.id, featureIds);
-    console.log(`✅ ${featureIds.length} features`);
-    await sleep(50);
-  }
+  const assignmentResults = await mapWithConcurrency(releases, concurrency, async (release) => {
+    const result = await fetchFeatureAssignments(release.id);
+    releasesDone++;
+    console.log(`   Processed release ${releasesDone}/${releases.length}... ✅ ${result.featureIds.length} features (${result.pages} page${result.pages === 1 ? '' : 's'})`);
+    return result;
+  });
+  
+  releases.forEach((release, i) => {
+    releaseFeatureMap.set(release.id, assignmentResults[i].featureIds);
+  });
   
   // Collect all unique feature IDs
   const allFeatureIds = new Set();
@@ -427,29 +253,113 @@ async function main() {
   log('\n🎯 Fetching feature details...');
   const features = [];
   const featureIdsArray = Array.from(allFeatureIds);
+  let featuresDone = 0;
   
-  for (let i = 0; i < featureIdsArray.length; i++) {
-    const featureId = featureIdsArray[i];
-    process.stdout.write(`   Processing feature ${i + 1}/${featureIdsArray.length}... `);
-    
+  const featureResults = await mapWithConcurrency(featureIdsArray, concurrency, async (featureId) => {
     const feature = await fetchFeatureDetails(featureId);
+    featuresDone++;
+    console.log(`   Processed feature ${featuresDone}/${featureIdsArray.length}... ${feature ? '✅' : '⚠️  Skipped'}`);
+    return feature;
+  });
+  
+  // Assemble in discovery order so the sync order is deterministic
+  featureIdsArray.forEach((featureId, i) => {
+    const feature = featureResults[i];
     if (feature) {
+      // Debug logging for a sample of features to verify API structure
+      if (Math.random() < 0.05) { // Log ~5% of features for debugging
+        log(`   Debug feature ${featureId}: PM=${feature.productManager}, EL=${feature.engineeringLead}`, 'info');
+        log(`   Raw owner: ${JSON.stringify(feature.raw.owner)}`, 'info');
+        log(`   Raw productManager: ${JSON.stringify(feature.raw.productManager)}`, 'info');
+        log(`   Raw engineeringLead: ${JSON.stringify(feature.raw.engineeringLead)}`, 'info');
+      }
+      
       const releaseIds = [];
       releaseFeatureMap.forEach((featureIds, releaseId) => {
         if (featureIds.includes(featureId)) {
           releaseIds.push(releaseId);
         }
       });
-      feature.releaseId = releaseIds[0] || null;
-      feature.releaseIds = releaseIds; // Keep all release IDs for reference
+      feature.releaseIds = releaseIds; // Every release the feature is assigned to
       features.push(feature);
-      console.log('✅');
-    } else {
-      console.log('⚠️  Skipped');
     }
-    await sleep(50);
+  });
+  
+  // Backlog features (not assigned to any release) are synced with an empty Release relation
+  const backlogFilters = getBacklogFilters();
+  const backlogFeatureIds = new Set();
+  if (backlogFilters) {
+    log('\n🗂️  Fetching backlog features...');
+    const { features: listedFeatures, pages: backlogPages } = await fetchAllFeatures(backlogFilters);
+    listedFeatures.filter(feature => !allFeatureIds.has(feature.id)).forEach(feature => {
+      feature.releaseIds = [];
+      features.push(feature);
+      backlogFeatureIds.add(feature.id);
+    });
+    log(`✅ Found ${backlogFeatureIds.size} backlog features (${backlogPages} page${backlogPages === 1 ? '' : 's'})`);
+  }
+  
+  // Parent features and the product/component tree, so Notion shows the same hierarchy
+  log('\n🌳 Fetching product hierarchy...');
+  const { parents, requested: requestedParentIds } = await fetchParentFeatures(features, concurrency);
+  parents.forEach(feature => {
+    feature.releaseIds = [];
+    features.push(feature);
+  });
+  const hierarchy = await fetchProductHierarchy();
+  attachHierarchy(features, hierarchy);
+  log(`✅ ${hierarchy.products.length} products, ${hierarchy.components.length} components, ${parents.length} parent features outside the releases`);
+  
+  // Custom fields the mapping binds to feature properties ("customFields.<name>" sources)
+  const bindings = customFieldBindings(mapping.features);
+  if (bindings.length > 0) {
+    log('\n🧩 Fetching custom fields...');
+    const { values: customFieldValues, pages: customFieldPages } = await fetchCustomFields(bindings, concurrency);
+    attachCustomFields(features, bindings, customFieldValues);
+    log(`✅ ${bindings.map(binding => binding.name).join(', ')} (${customFieldPages} pages)`);
   }
   
+  // Link releases only to features we could fetch (skipped ones have no page)
+  const fetchedFeatureIds = new Set(features.map(f => f.id));
+  releases.forEach(release => {
+    release.featureIds = (releaseFeatureMap.get(release.id) || []).filter(id => fetchedFeatureIds.has(id));
+  });
+  
+  // Health metrics written to the releases' number/select properties
+  const healthConfig = loadReleaseHealthConfig();
+  attachReleaseMetrics(releases, features, healthConfig);
+  
+  // Objectives and initiatives, linked to the fetched features they cover and rated by them
+  let objectives = [];
+  let objectivesFailed = false;
+  if (mapping.objectives) {
+    log('\n🏁 Fetching objectives and initiatives...');
+    const result = await fetchAllObjectives();
+    const links = await fetchObjectiveLinks(result.objectives, concurrency);
+    objectives = result.objectives;
+    objectivesFailed = result.failed;
+    attachObjectiveFeatures(objectives, features, healthConfig);
+    log(`✅ Found ${objectives.filter(o => o.type === 'objective').length} objectives and ${objectives.filter(o => o.type === 'initiative').length} initiatives (${result.pages + links.pages} pages)`);
+    if (links.failed > 0) {
+      log(`   ⚠️  Linked features failed to load for ${links.failed} objectives - their pages are left as they are`, 'error');
+    }
+  } else {
+    log('\n⏭️  NOTION_OBJECTIVES_DB_ID not set - skipping objectives and initiatives');
+  }
+  
+  // Report pagination so an incomplete mirror is visible in the logs
+  const pagination = getPaginationStats();
+  log('\n📄 ProductBoard pagination:');
+  Object.entries(pagination).forEach(([endpoint, pageStats]) => {
+    log(`   ${endpoint}: ${pageStats.pages} pages across ${pageStats.requests} requests (${pageStats.items} items)`);
+  });
+  
+  // Pages that existed before this run but whose IDs are missing from the fresh fetch.
+  // A feature only counts as removed when it's no longer assigned to any release, listed in
+  // the backlog (SYNC_BACKLOG) or the parent of one that is; one whose details failed to load
+  // is left alone.
+  const missing = findMissingPages(idMap, releases, releaseGroups, objectives, objectivesFailed, new Set([...allFeatureIds, ...backlogFeatureIds, ...requestedParentIds]), assignmentResults, backlogFilters, { log });
+  
   // Save all ProductBoard feature data to JSON file
   const productboardFeaturesFile = path.join(dataDir, `productboard-features-${Date.now()}.json`);
   const featuresExport = {
@@ -460,7 +370,11 @@ async function main() {
       featuresWithEngineeringLead: features.filter(f => f.engineeringLead).length,
       featuresWithHealth: features.filter(f => f.health && f.health !== 'unknown').length,
       featuresWithStatus: features.filter(f => f.status).length,
-      featuresWithRelease: features.filter(f => f.releaseId).length
+      featuresWithRelease: features.filter(f => f.releaseIds.length > 0).length,
+      featuresWithMultipleReleases: features.filter(f => f.releaseIds.length > 1).length,
+      backlogFeatures: backlogFeatureIds.size,
+      parentFeatures: parents.length,
+      pagination: pagination
     },
     releases: releases.map(r => ({
       id: r.id,
@@ -469,9 +383,12 @@ async function main() {
       endDate: r.endDate,
       state: r.state,
       productManager: r.productManager,
-      engineeringLead: r.engineeringLead
+      engineeringLead: r.engineeringLead,
+      releaseGroup: r.releaseGroup
     })),
     features: features,
+    releaseGroups: releaseGroups,
+    objectives: objectives,
     releaseFeatureMap: Object.fromEntries(releaseFeatureMap)
   };
   
@@ -481,254 +398,583 @@ async function main() {
   log(`   Features with Product Manager: ${featuresExport.summary.featuresWithProductManager}`);
   log(`   Features with Engineering Lead: ${featuresExport.summary.featuresWithEngineeringLead}`);
   
-  // Step 3: Sync releases
-  log('\n' + '='.repeat(50));
-  log('\n📦 Syncing Releases...\n');
   
-  const stats = {
-    releases: { created: 0, updated: 0, unchanged: 0 },
-    features: { created: 0, updated: 0, unchanged: 0 }
+  const plan = {
+    createdAt: new Date().toISOString(),
+    removalPolicy: SYNC_REMOVAL_POLICY,
+    databases: DATABASE_IDS,
+    operations: [],
+    conflicts: [],  // Fields edited on both sides since the last sync (left as they are in Notion)
+    keptEdits: 0,   // Fields edited in Notion while ProductBoard stayed the same
+    syncState: {}   // Last-synced values for pages the plan doesn't write
   };
+  const syncState = loadSyncState();
   
-  const releasePageMap = new Map(); // releaseId → Notion page ID
+  const releaseGroupPageMap = new Map(); // releaseGroupId → Notion page ID (or placeholder)
+  const releasePageMap = new Map(); // releaseId → Notion page ID (or placeholder)
+  const featurePageMap = new Map(); // featureId → Notion page ID (or placeholder)
+  const objectivePageMap = new Map(); // objectiveId / initiativeId → Notion page ID (or placeholder)
   
-  for (let i = 0; i < releases.length; i++) {
-    const release = releases[i];
-    const notionPageId = idMap.releases.get(release.id);
+  // Resolves relation fields in the mapping to Notion page IDs
+  const context = {
+    pageIds: { releases: releasePageMap, features: featurePageMap, releaseGroups: releaseGroupPageMap, objectives: objectivePageMap }
+  };
+  
+  // Step 3: Diff release groups (before releases, which link to them)
+  log('\n' + '='.repeat(50));
+  if (mapping.releaseGroups) {
+    log('\n🗓️  Diffing Release Groups...\n');
+    diffEntities(plan, syncState, stats, {
+      type: 'release-group', entity: 'releaseGroups', label: 'release group', items: releaseGroups,
+      idMap, mapping, context, pageMap: releaseGroupPageMap
+    });
+  }
+  
+  // Step 4: Diff releases
+  log('\n📦 Diffing Releases...\n');
+  diffEntities(plan, syncState, stats, {
+    type: 'release', entity: 'releases', label: 'release', items: releases,
+    idMap, mapping, context, pageMap: releasePageMap
+  });
+  
+  // Step 5: Diff features
+  log('\n🎯 Diffing Features...\n');
+  diffEntities(plan, syncState, stats, {
+    type: 'feature', entity: 'features', label: 'feature', items: features,
+    idMap, mapping, context, pageMap: featurePageMap
+  });
+  
+  // Step 6: Diff objectives and initiatives (after the features they link to); one whose links
+  // failed to load is left as it is rather than unlinked from every feature
+  if (mapping.objectives) {
+    log('\n🏁 Diffing Objectives...\n');
+    diffEntities(plan, syncState, stats, {
+      type: 'objective', entity: 'objectives', label: 'objective', items: objectives.filter(o => !o.linksFailed),
+      idMap, mapping, context, pageMap: objectivePageMap
+    });
+  }
+  
+  // Step 7: Relations back from releases and release groups (two-way) - the mapping's deferred fields
+  diffDeferredRelations(plan, syncState, {
+    type: 'release-relations', entity: 'releases', items: releases, idMap, mapping, context, pageMap: releasePageMap
+  });
+  if (mapping.releaseGroups) {
+    diffDeferredRelations(plan, syncState, {
+      type: 'release-group-relations', entity: 'releaseGroups', items: releaseGroups, idMap, mapping, context, pageMap: releaseGroupPageMap
+    });
+  }
+  
+  // Step 8: Pages removed from ProductBoard
+  log(`\n🗑️  ${missing.releases.length} releases, ${missing.features.length} features, ${missing.releaseGroups.length} release groups and ${missing.objectives.length} objectives no longer in ProductBoard (policy: ${SYNC_REMOVAL_POLICY})`);
+  
+  if (SYNC_REMOVAL_POLICY !== 'ignore') {
+    plan.operations.push(
+      ...planRemovals(missing.releases, 'release', 'releases', mapping.releases),
+      ...planRemovals(missing.features, 'feature', 'features', mapping.features),
+      ...planRemovals(missing.releaseGroups, 'release-group', 'releaseGroups', mapping.releaseGroups),
+      ...planRemovals(missing.objectives, 'objective', 'objectives', mapping.objectives)
+    );
+  }
+  
+  // Page ID (or placeholder) → name, so relation changes in the plan are readable
+  plan.pageNames = {};
+  releaseGroups.forEach(g => { if (releaseGroupPageMap.has(g.id)) plan.pageNames[releaseGroupPageMap.get(g.id)] = g.name; });
+  releases.forEach(r => { if (releasePageMap.has(r.id)) plan.pageNames[releasePageMap.get(r.id)] = r.name; });
+  features.forEach(f => { if (featurePageMap.has(f.id)) plan.pageNames[featurePageMap.get(f.id)] = f.name; });
+  objectives.forEach(o => { if (objectivePageMap.has(o.id)) plan.pageNames[objectivePageMap.get(o.id)] = o.name; });
+  
+  plan.unchanged = {
+    releases: stats.releases.unchanged,
+    features: stats.features.unchanged,
+    releaseGroups: stats.releaseGroups.unchanged,
+    objectives: stats.objectives.unchanged
+  };
+  plan.missing = {
+    releases: missing.releases.length,
+    features: missing.features.length,
+    releaseGroups: missing.releaseGroups.length,
+    objectives: missing.objectives.length
+  };
+  return plan;
+}
+
+/**
+ * Diff one entity's ProductBoard items against their Notion pages: an update for each
+ * changed page, a create for each new one. Fills pageMap (ProductBoard ID → page ID or placeholder).
+ */
+function diffEntities(plan, syncState, stats, { type, entity, label, items, idMap, mapping, context, pageMap }) {
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const notionPageId = idMap[entity].get(item.id);
     
     if (notionPageId) {
-      // Existing release - check for changes
-      process.stdout.write(`   Checking release ${i + 1}/${releases.length}: ${release.name}... `);
+      // Existing page - check for changes
+      process.stdout.write(`   Checking ${label} ${i + 1}/${items.length}: ${item.name}... `);
       
-      const notionData = await getNotionPageData(notion, notionPageId, 'release');
-      await sleep(350);
+      const operation = diffExistingPage(plan, syncState, {
+        type,
+        entity,
+        item,
+        page: idMap.pages[entity].get(item.id),
+        entityMapping: mapping[entity],
+        context
+      });
       
-      if (notionData) {
-        const pbData = {
-          name: release.name,
-          state: release.state,
-          releaseGroup: release.releaseGroup
-        };
-        
-        const changes = detectChanges(notionData, pbData);
-        
-        if (changes) {
-          // Update release
-          const properties = mapReleaseToNotion(release);
-          const cleanedProperties = removeUndefinedProperties(properties);
-          const updatePayload = {
-            page_id: notionPageId,
-            properties: cleanedProperties
-          };
-          
-          // Log the payload before sending
-          logNotionPayload('update', 'release', updatePayload, notionPageId);
-          
-          try {
-            const result = await notion.pages.update(updatePayload);
-            logNotionPayload('update', 'release', updatePayload, notionPageId, result);
-            stats.releases.updated++;
-            console.log(`✅ Updated (${Object.keys(changes).length} changes)`);
-          } catch (error) {
-            console.log(`❌ Error: ${error.message}`);
-            log(`Failed to update release ${release.name}: ${error.message}`, 'error');
-          }
-        } else {
-          stats.releases.unchanged++;
-          console.log('✅ Unchanged');
-        }
+      if (operation) {
+        plan.operations.push(operation);
+        console.log(`🔄 ${Object.keys(operation.changes).length} changes`);
       } else {
-        stats.releases.unchanged++;
-        console.log('⚠️  Could not retrieve data');
+        stats[entity].unchanged++;
+        console.log('✅ Unchanged');
       }
       
-      releasePageMap.set(release.id, notionPageId);
+      pageMap.set(item.id, notionPageId);
     } else {
-      // New release - create it
-      process.stdout.write(`   Creating release ${i + 1}/${releases.length}: ${release.name}... `);
-      
-      const properties = mapReleaseToNotion(release);
-      const cleanedProperties = removeUndefinedProperties(properties);
-      const createPayload = {
-        parent: { database_id: NOTION_RELEASES_DB_ID },
-        properties: cleanedProperties
-      };
-      
-      // Log the payload before sending
-      logNotionPayload('create', 'release', createPayload);
+      // New page - create it
+      console.log(`   New ${label} ${i + 1}/${items.length}: ${item.name}`);
       
-      try {
-        const page = await notion.pages.create(createPayload);
-        logNotionPayload('create', 'release', createPayload, page.id, page);
-        releasePageMap.set(release.id, page.id);
-        idMap.releases.set(release.id, page.id);
-        stats.releases.created++;
-        console.log('✅ Created');
-      } catch (error) {
-        console.log(`❌ Error: ${error.message}`);
-        log(`Failed to create release ${release.name}: ${error.message}`, 'error');
-      }
+      const pbData = toComparable(item, mapping[entity], context);
+      plan.operations.push({
+        operation: 'create',
+        type,
+        entity,
+        pbId: item.id,
+        name: item.name,
+        changes: detectChanges({}, pbData),
+        payload: {
+          parent: idMap.parents[entity],
+          properties: removeUndefinedProperties(mapToNotion(item, mapping[entity], context))
+        },
+        syncState: { values: trackedValues(pbData, mapping[entity]), clean: true }
+      });
+      pageMap.set(item.id, pendingPageId(entity, item.id));
+    }
+  }
+}
+
+// The mapping's deferred fields (e.g. a release's Features relation), written once every page exists
+function diffDeferredRelations(plan, syncState, { type, entity, items, idMap, mapping, context, pageMap }) {
+  for (const item of items) {
+    const currentPage = idMap.pages[entity].get(item.id);
+    
+    if (currentPage) {
+      const operation = diffExistingPage(plan, syncState, {
+        type,
+        entity,
+        item,
+        page: currentPage,
+        entityMapping: mapping[entity],
+        context,
+        deferred: true
+      });
+      if (operation) plan.operations.push(operation);
+      continue;
     }
     
-    await sleep(350);
+    // New pages start out empty
+    const properties = mapToNotion(item, mapping[entity], context, { deferred: true });
+    if (Object.keys(properties).length === 0) continue;
+    
+    const pbData = toComparable(item, mapping[entity], context, { deferred: true });
+    plan.operations.push({
+      operation: 'update',
+      type,
+      entity,
+      pbId: item.id,
+      name: item.name,
+      changes: detectChanges({}, pbData),
+      payload: {
+        page_id: pageMap.get(item.id),
+        properties: properties
+      },
+      syncState: { values: trackedValues(pbData, mapping[entity]), clean: true }
+    });
+  }
+}
+
+// Record the page's current values for every property the operation writes, so the
+// run can be rolled back (see rollback-sync.js)
+function captureBefore(operation, page) {
+  operation.before = captureProperties(page, Object.keys(operation.payload.properties));
+}
+
+/**
+ * Diff an existing page against its ProductBoard item, honouring field ownership
+ * (see field-ownership.js). Returns the update operation, or null if there's nothing to write.
+ */
+function diffExistingPage(plan, syncState, { type, entity, item, page, entityMapping, context, deferred = false }) {
+  const pbFull = toComparable(item, entityMapping, context, { deferred });
+  const ownership = resolveOwnership(
+    page,
+    entityMapping,
+    readPage(page, entityMapping, { deferred }),
+    pbFull,
+    syncState.pages[page.id],
+    { writeBack: SYNC_WRITE_BACK }
+  );
+  
+  ownership.conflicts.forEach(conflict => {
+    plan.conflicts.push({ type, pbId: item.id, name: item.name, pageId: page.id, ...conflict });
+  });
+  plan.keptEdits += ownership.keptEdits.length;
+  
+  if (ownership.writeBack.length > 0) {
+    plan.operations.push(planWriteBack(type, entity, item, page, ownership.writeBack, pbFull));
   }
   
-  // Step 4: Sync features
-  log('\n🎯 Syncing Features...\n');
+  const options = { deferred, exclude: ownership.exclude };
+  const properties = removeUndefinedProperties(mapToNotion(item, entityMapping, context, options));
+  const pbData = toComparable(item, entityMapping, context, options);
+  const changes = detectChanges(readPage(page, entityMapping, options), pbData);
+  const syncStateEntry = { values: ownership.values, clean: ownership.clean };
   
-  const featurePageMap = new Map(); // featureId → Notion page ID
+  // Relations are loaded in full (expandTruncatedRelations); one still truncated at 25 items
+  // (has_more) can't be trusted as unchanged, whichever pass writes it
+  const truncated = hasTruncatedRelations(page, entityMapping, options);
   
-  for (let i = 0; i < features.length; i++) {
-    const feature = features[i];
-    const notionPageId = idMap.features.get(feature.id);
-    const releasePageId = feature.releaseId ? releasePageMap.get(feature.releaseId) : null;
+  if (Object.keys(properties).length === 0 || (!changes && !truncated)) {
+    plan.syncState[page.id] = mergeSyncState(plan.syncState[page.id], syncStateEntry, page.last_edited_time);
+    return null;
+  }
+  
+  const operation = {
+    operation: 'update',
+    type,
+    entity,
+    pbId: item.id,
+    name: item.name,
+    changes: changes || detectChanges({}, pbData),
+    payload: { page_id: page.id, properties },
+    syncState: syncStateEntry
+  };
+  captureBefore(operation, page);
+  return operation;
+}
+
+// Set "status.name" style paths on the ProductBoard update body
+function setPath(obj, targetPath, value) {
+  const keys = targetPath.split('.');
+  let current = obj;
+  keys.slice(0, -1).forEach(key => {
+    current[key] = current[key] || {};
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+}
+
+// Push Notion edits of writeBack fields to the ProductBoard feature
+function planWriteBack(type, entity, item, page, writeBack, pbData) {
+  const data = {};
+  const changes = {};
+  const values = {};
+  
+  for (const { field, value } of writeBack) {
+    // Optional Notion value → ProductBoard value translation, e.g. "on-track" → "onTrack"
+    setPath(data, field.writeBack.field, field.writeBack.values?.[value] ?? value);
+    changes[field.property] = { old: pbData[field.property], new: value };
+    values[field.property] = value;
+  }
+  
+  return {
+    operation: 'write-back',
+    type,
+    entity,
+    pbId: item.id,
+    name: item.name,
+    changes,
+    payload: { featureId: item.id, data },
+    // Once ProductBoard holds the Notion value it becomes the last-synced value
+    syncState: { pageId: page.id, values, clean: false }
+  };
+}
+
+// Combine last-synced values for one page; a kept manual edit anywhere on the page means
+// last_edited_time can't be used as "untouched since the sync" next time
+function mergeSyncState(previous, entry, lastEditedTime) {
+  const clean = entry.clean && (previous ? previous.lastEditedTime !== null : true);
+  return {
+    lastEditedTime: clean ? lastEditedTime : null,
+    values: { ...(previous?.values || {}), ...entry.values }
+  };
+}
+
+function planRemovals(missingPages, type, entity, entityMapping) {
+  const operations = [];
+  
+  for (const { pbId, page } of missingPages) {
+    if (page.archived || page.in_trash) continue;
     
-    if (notionPageId) {
-      // Existing feature - check for changes
-      process.stdout.write(`   Checking feature ${i + 1}/${features.length}: ${feature.name}... `);
-      
-      const notionData = await getNotionPageData(notion, notionPageId, 'feature');
-      await sleep(350);
+    const titleField = entityMapping.fields.find(field => field.type === 'title');
+    const name = (titleField && readPage(page, entityMapping)[titleField.property]) || pbId;
+    
+    if (SYNC_REMOVAL_POLICY === 'archive') {
+      operations.push({
+        operation: 'archive',
+        type,
+        entity,
+        pbId,
+        name,
+        changes: { archived: { old: false, new: true } },
+        payload: { page_id: page.id, archived: true },
+        before: { archived: false }
+      });
+    } else {
+      const changes = detectRemovalChanges(page, entityMapping);
+      if (!changes) continue; // Already marked
       
-      if (notionData) {
-        const pbData = {
-          name: feature.name,
-          status: feature.status,
-          health: feature.health,
-          productManager: feature.productManager,
-          productboardLink: feature.productboardLink,
-          releaseId: releasePageId
-        };
-        
-        // Compare release ID separately (it's a relation, not a string)
-        const releaseChanged = notionData.releaseId !== releasePageId;
-        
-        const changes = detectChanges({
-          ...notionData,
-          releaseId: notionData.releaseId // Convert to string for comparison
-        }, {
-          ...pbData,
-          releaseId: releasePageId // Convert to string for comparison
-        });
-        
-        if (changes || releaseChanged) {
-          // Update feature
-          const properties = mapFeatureToNotion(feature, releasePageId);
-          const cleanedProperties = removeUndefinedProperties(properties);
-          const updatePayload = {
-            page_id: notionPageId,
-            properties: cleanedProperties
-          };
-          
-          // Log the payload before sending
-          logNotionPayload('update', 'feature', updatePayload, notionPageId);
-          
-          try {
-            const result = await notion.pages.update(updatePayload);
-            logNotionPayload('update', 'feature', updatePayload, notionPageId, result);
-            stats.features.updated++;
-            const changeCount = changes ? Object.keys(changes).length : 0;
-            console.log(`✅ Updated (${changeCount + (releaseChanged ? 1 : 0)} changes)`);
-          } catch (error) {
-            console.log(`❌ Error: ${error.message}`);
-            log(`Failed to update feature ${feature.name}: ${error.message}`, 'error');
-          }
-        } else {
-          stats.features.unchanged++;
-          console.log('✅ Unchanged');
-        }
+      operations.push({
+        operation: 'mark',
+        type,
+        entity,
+        pbId,
+        name,
+        changes,
+        payload: { page_id: page.id, properties: mapRemovedToNotion(entityMapping) }
+      });
+      captureBefore(operations[operations.length - 1], page);
+    }
+  }
+  
+  return operations;
+}
+
+function formatValue(value, pageNames = {}) {
+  if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+    return '(empty)';
+  }
+  // Relations hold page IDs; show the page names where we know them
+  const text = JSON.stringify(Array.isArray(value) ? value.map(id => pageNames[id] || id) : value);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+const PLAN_SYMBOLS = { create: '+', update: '~', mark: '-', archive: '-', 'write-back': '<' };
+
+// Print every planned write with field-level old → new values
+function printPlan(plan) {
+  log('\n' + '='.repeat(50));
+  log(`\n📋 Sync Plan (${plan.operations.length} operations)\n`);
+  
+  if (plan.operations.length === 0) {
+    log('   Notion is already up to date - nothing to do');
+    return;
+  }
+  
+  for (const op of plan.operations) {
+    log(`${PLAN_SYMBOLS[op.operation]} ${op.operation} ${op.type} "${op.name}" (${op.pbId})`);
+    for (const [property, change] of Object.entries(op.changes || {})) {
+      log(op.operation === 'create'
+        ? `    ${property}: ${formatValue(change.new, plan.pageNames)}`
+        : `    ${property}: ${formatValue(change.old, plan.pageNames)} → ${formatValue(change.new, plan.pageNames)}`);
+    }
+  }
+}
+
+// Fields edited in Notion and ProductBoard since the last sync; the sync leaves these alone
+function printConflicts(conflicts = [], pageNames = {}) {
+  if (conflicts.length === 0) return;
+  
+  log(`\n⚠️  ${conflicts.length} conflicts (edited in Notion and ProductBoard since the last sync - Notion kept):`);
+  for (const conflict of conflicts) {
+    log(`   ${conflict.type} "${conflict.name}" (${conflict.pbId}) ${conflict.property}:`);
+    log(`      last synced: ${formatValue(conflict.lastSynced, pageNames)}`);
+    log(`      Notion:      ${formatValue(conflict.notion, pageNames)}`);
+    log(`      ProductBoard: ${formatValue(conflict.productboard, pageNames)}`);
+  }
+}
+
+function loadPlan(planPath) {
+  const resolvedPath = path.resolve(planPath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Plan not found at ${resolvedPath}`);
+  }
+  
+  const plan = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  if (!Array.isArray(plan.operations)) {
+    throw new Error(`${resolvedPath} is not a sync plan (no "operations" array)`);
+  }
+  
+  // A plan only makes sense against the databases it was diffed against
+  const entities = new Set([...Object.keys(plan.databases || {}), ...Object.keys(DATABASE_IDS)]);
+  if ([...entities].some(entity => plan.databases?.[entity] !== DATABASE_IDS[entity])) {
+    throw new Error(`Plan ${resolvedPath} was built for different Notion databases than NOTION_RELEASES_DB_ID / NOTION_FEATURES_DB_ID / NOTION_RELEASE_GROUPS_DB_ID / NOTION_OBJECTIVES_DB_ID`);
+  }
+  
+  return plan;
+}
+
+const STAT_FOR_OPERATION = { create: 'created', update: 'updated', mark: 'removed', archive: 'removed', 'write-back': 'writtenBack' };
+
+// Execute a plan's operations in order, creating pages before anything that links to them
+async function applyPlan(notion, plan, stats) {
+  log(`\n✍️  Applying ${plan.operations.length} operations...\n`);
+  
+  const createdPages = new Map(); // placeholder → Notion page ID
+  
+  // Last-synced values recorded by this run, starting with the pages the plan doesn't write
+  const runState = { ...(plan.syncState || {}) };
+  
+  for (let i = 0; i < plan.operations.length; i++) {
+    const op = plan.operations[i];
+    process.stdout.write(`   ${i + 1}/${plan.operations.length} ${op.operation} ${op.type}: ${op.name}... `);
+    
+    const payload = resolvePendingIds(op.payload, createdPages);
+    if (!payload) {
+      console.log('⚠️  Skipped (page was not created)');
+      log(`Skipped ${op.operation} ${op.type} ${op.name}: its page was not created`, 'error');
+      continue;
+    }
+    
+    // Log the payload before sending
+    logNotionPayload(op.operation, op.type, payload, payload.page_id || null, null, op.before || null);
+    
+    try {
+      let result;
+      if (op.operation === 'write-back') {
+        await updateFeature(payload.featureId, payload.data);
+        result = { id: op.syncState.pageId }; // The Notion page whose edit was pushed
+      } else if (op.operation === 'create') {
+        result = await notion.pages.create(payload);
       } else {
-        stats.features.unchanged++;
-        console.log('⚠️  Could not retrieve data');
+        result = await notion.pages.update(payload);
       }
+      logNotionPayload(op.operation, op.type, payload, result.id, result, op.before || null);
       
-      featurePageMap.set(feature.id, notionPageId);
-    } else {
-      // New feature - create it
-      process.stdout.write(`   Creating feature ${i + 1}/${features.length}: ${feature.name}... `);
-      
-      const properties = mapFeatureToNotion(feature, releasePageId);
-      const cleanedProperties = removeUndefinedProperties(properties);
-      const createPayload = {
-        parent: { database_id: NOTION_FEATURES_DB_ID },
-        properties: cleanedProperties
-      };
-      
-      // Log the payload before sending
-      logNotionPayload('create', 'feature', createPayload);
-      
-      try {
-        const page = await notion.pages.create(createPayload);
-        logNotionPayload('create', 'feature', createPayload, page.id, page);
-        featurePageMap.set(feature.id, page.id);
-        idMap.features.set(feature.id, page.id);
-        stats.features.created++;
-        
-        const release = releasePageId ? releases.find(r => r.id === feature.releaseId) : null;
-        if (release) {
-          console.log(`✅ Created (linked to ${release.name})`);
-        } else {
-          console.log('✅ Created');
-        }
-      } catch (error) {
-        console.log(`❌ Error: ${error.message}`);
-        log(`Failed to create feature ${feature.name}: ${error.message}`, 'error');
+      if (op.operation === 'create') {
+        createdPages.set(pendingPageId(op.entity, op.pbId), result.id);
+      }
+      if (op.syncState) {
+        runState[result.id] = mergeSyncState(runState[result.id], op.syncState, result.last_edited_time);
       }
+      // Relation writes are part of the entity's create/update, not counted separately
+      if (!op.type.endsWith('-relations')) {
+        stats[op.entity][STAT_FOR_OPERATION[op.operation]]++;
+      }
+      console.log('✅');
+    } catch (error) {
+      console.log(`❌ Error: ${error.message}`);
+      log(`Failed to ${op.operation} ${op.type} ${op.name}: ${error.message}`, 'error');
     }
-    
-    await sleep(350);
   }
   
-  // Step 5: Update release relations (two-way)
-  log('\n🔗 Updating Release Relations...\n');
+  // Only pages with productboard-unless-edited or writeBack fields need remembering
+  const tracked = Object.entries(runState).filter(([, entry]) => Object.keys(entry.values).length > 0);
+  if (tracked.length > 0) {
+    const state = loadSyncState();
+    // Merge so a failed write keeps the previous last-synced value for its fields
+    tracked.forEach(([pageId, entry]) => {
+      state.pages[pageId] = { ...entry, values: { ...(state.pages[pageId]?.values || {}), ...entry.values } };
+    });
+    saveSyncState(state);
+  }
+}
+
+async function main() {
+  const startTime = Date.now();
+  log(isPlanMode ? '🚀 Starting Incremental Sync (plan only - no changes will be made)' : '🚀 Starting Incremental Sync');
+  log('='.repeat(50));
   
-  const featuresByRelease = new Map();
-  releases.forEach(release => {
-    const featureIds = releaseFeatureMap.get(release.id) || [];
-    const releaseFeatures = features.filter(f => featureIds.includes(f.id));
-    featuresByRelease.set(release.id, releaseFeatures);
+  // Validate environment (applying a saved plan doesn't touch ProductBoard)
+  if (!NOTION_API_KEY || !NOTION_RELEASES_DB_ID || !NOTION_FEATURES_DB_ID ||
+      (!applyPlanPath && !PRODUCTBOARD_API_TOKEN)) {
+    const error = 'Missing required environment variables in .env.personal';
+    log(error, 'error');
+    throw new Error(error);
+  }
+  
+  if (isPlanMode && applyPlanPath) {
+    const error = 'Use either --plan or --apply <plan.json>, not both';
+    log(error, 'error');
+    throw new Error(error);
+  }
+  
+  if (args.includes('--apply') && !applyPlanPath) {
+    const error = 'Usage: --apply <plan.json>';
+    log(error, 'error');
+    throw new Error(error);
+  }
+  
+  const stats = {
+    releases: { created: 0, updated: 0, unchanged: 0, removed: 0, writtenBack: 0 },
+    features: { created: 0, updated: 0, unchanged: 0, removed: 0, writtenBack: 0 },
+    releaseGroups: { created: 0, updated: 0, unchanged: 0, removed: 0, writtenBack: 0 },
+    objectives: { created: 0, updated: 0, unchanged: 0, removed: 0, writtenBack: 0 }
+  };
+  
+  const notion = createNotionClient();
+  let plan;
+  
+  // Pre-flight: the databases must have every mapped property before any page is written
+  log('\n🩺 Checking Notion schema against the field mapping...');
+  const schema = await runSchemaPreflight(notion, configuredMapping(loadFieldMapping(), DATABASE_IDS), DATABASE_IDS, {
+    fix: fixSchema && !isPlanMode, log
   });
+  if (!schema.ok) {
+    const error = fixSchema && !isPlanMode
+      ? 'Notion schema does not match the field mapping - rename or retype the properties above, or update config/field-mapping.json'
+      : 'Notion schema does not match the field mapping - fix the properties above, or add missing ones with --fix-schema (not applied with --plan)';
+    log(error, 'error');
+    throw new Error(error);
+  }
   
-  for (let i = 0; i < releases.length; i++) {
-    const release = releases[i];
-    const releasePageId = releasePageMap.get(release.id);
-    if (!releasePageId) continue;
-    
-    const releaseFeatures = featuresByRelease.get(release.id) || [];
-    const featurePageIds = releaseFeatures
-      .map(f => featurePageMap.get(f.id))
-      .filter(Boolean);
+  if (applyPlanPath) {
+    plan = loadPlan(applyPlanPath);
+    log(`📋 Loaded plan from ${path.resolve(applyPlanPath)} (created ${plan.createdAt}, ${plan.operations.length} operations)`);
+    if (!PRODUCTBOARD_API_TOKEN && plan.operations.some(op => op.operation === 'write-back')) {
+      const error = 'This plan writes back to ProductBoard: PRODUCTBOARD_API_TOKEN is required';
+      log(error, 'error');
+      throw new Error(error);
+    }
+    stats.releases.unchanged = plan.unchanged?.releases || 0;
+    stats.features.unchanged = plan.unchanged?.features || 0;
+    stats.releaseGroups.unchanged = plan.unchanged?.releaseGroups || 0;
+    stats.objectives.unchanged = plan.unchanged?.objectives || 0;
+  } else {
+    if (!REMOVAL_POLICIES.includes(SYNC_REMOVAL_POLICY)) {
+      const error = `Invalid SYNC_REMOVAL_POLICY "${SYNC_REMOVAL_POLICY}". Use one of: ${REMOVAL_POLICIES.join(', ')}`;
+      log(error, 'error');
+      throw new Error(error);
+    }
     
-    if (featurePageIds.length > 0) {
-      process.stdout.write(`   Updating ${release.name} with ${featurePageIds.length} features... `);
-      
-      const relationPayload = {
-        page_id: releasePageId,
-        properties: {
-          'Features': {
-            relation: featurePageIds.map(id => ({ id }))
-          }
+    const mapping = configuredMapping(loadFieldMapping(), DATABASE_IDS);
+    if (SYNC_REMOVAL_POLICY === 'mark') {
+      for (const name of Object.keys(mapping)) {
+        if (!mapping[name].removed) {
+          const error = `SYNC_REMOVAL_POLICY=mark needs a "removed" marker in the "${name}" field mapping`;
+          log(error, 'error');
+          throw new Error(error);
         }
-      };
-      
-      // Log the payload before sending
-      logNotionPayload('update', 'release-relations', relationPayload, releasePageId);
-      
-      try {
-        const result = await notion.pages.update(relationPayload);
-        logNotionPayload('update', 'release-relations', relationPayload, releasePageId, result);
-        console.log('✅');
-      } catch (error) {
-        console.log(`❌ Error: ${error.message}`);
-        log(`Failed to update release relations for ${release.name}: ${error.message}`, 'error');
       }
-      
-      await sleep(350);
     }
+    
+    plan = await buildSyncPlan(notion, mapping, stats);
+  }
+  
+  if (isPlanMode) {
+    printPlan(plan);
+    printConflicts(plan.conflicts, plan.pageNames);
+    
+    const planFile = path.join(dataDir, `sync-plan-${Date.now()}.json`);
+    fs.writeFileSync(planFile, JSON.stringify(plan, null, 2), 'utf8');
+    
+    const planned = operation => plan.operations.filter(op => op.operation === operation && !op.type.endsWith('-relations')).length;
+    log('\n📊 Plan Summary:');
+    log(`  + Create: ${planned('create')}`);
+    log(`  ~ Update: ${planned('update')}`);
+    log(`  - Remove: ${planned('mark') + planned('archive')} (policy: ${plan.removalPolicy})`);
+    log(`  < Write back to ProductBoard: ${planned('write-back')}${SYNC_WRITE_BACK ? '' : ' (SYNC_WRITE_BACK is off)'}`);
+    log(`  ✅ Unchanged: ${stats.releases.unchanged} releases, ${stats.features.unchanged} features, ${stats.releaseGroups.unchanged} release groups, ${stats.objectives.unchanged} objectives`);
+    log(`  ✋ Manual edits kept: ${plan.keptEdits || 0}, conflicts: ${(plan.conflicts || []).length}`);
+    log(`\n💾 Plan saved to: ${planFile}`);
+    log(`   Review it, then run: node scripts/sync-productboard-to-notion.js --apply ${path.relative(process.cwd(), planFile)}`);
+    return;
   }
   
+  await applyPlan(notion, plan, stats);
+  printConflicts(plan.conflicts, plan.pageNames);
+  
   // Final summary
   const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  const missing = { releases: 0, features: 0, releaseGroups: 0, objectives: 0, ...plan.missing };
   
   log('\n' + '='.repeat(50));
   log('\n📊 Sync Summary:');
@@ -736,10 +982,28 @@ async function main() {
   log(`  ✅ Created: ${stats.releases.created}`);
   log(`  ✅ Updated: ${stats.releases.updated}`);
   log(`  ✅ Unchanged: ${stats.releases.unchanged}`);
+  log(`  🗑️  Removed: ${stats.releases.removed} (${missing.releases} missing, policy: ${plan.removalPolicy})`);
   log('\nFeatures:');
   log(`  ✅ Created: ${stats.features.created}`);
   log(`  ✅ Updated: ${stats.features.updated}`);
   log(`  ✅ Unchanged: ${stats.features.unchanged}`);
+  log(`  🗑️  Removed: ${stats.features.removed} (${missing.features} missing, policy: ${plan.removalPolicy})`);
+  log(`  ⬅️  Written back to ProductBoard: ${stats.features.writtenBack}`);
+  if (plan.databases.releaseGroups) {
+    log('\nRelease Groups:');
+    log(`  ✅ Created: ${stats.releaseGroups.created}`);
+    log(`  ✅ Updated: ${stats.releaseGroups.updated}`);
+    log(`  ✅ Unchanged: ${stats.releaseGroups.unchanged}`);
+    log(`  🗑️  Removed: ${stats.releaseGroups.removed} (${missing.releaseGroups} missing, policy: ${plan.removalPolicy})`);
+  }
+  if (plan.databases.objectives) {
+    log('\nObjectives & Initiatives:');
+    log(`  ✅ Created: ${stats.objectives.created}`);
+    log(`  ✅ Updated: ${stats.objectives.updated}`);
+    log(`  ✅ Unchanged: ${stats.objectives.unchanged}`);
+    log(`  🗑️  Removed: ${stats.objectives.removed} (${missing.objectives} missing, policy: ${plan.removalPolicy})`);
+  }
+  log(`\n✋ Manual edits kept: ${plan.keptEdits || 0}, conflicts: ${(plan.conflicts || []).length}`);
   log(`\n⏱️  Duration: ${duration}s`);
   
   // Write Notion payloads to JSON file
@@ -747,11 +1011,17 @@ async function main() {
     syncStartTime: new Date(startTime).toISOString(),
     syncEndTime: new Date().toISOString(),
     duration: `${duration}s`,
+    plan: applyPlanPath ? path.resolve(applyPlanPath) : null,
     summary: {
       releases: stats.releases,
       features: stats.features,
+      releaseGroups: stats.releaseGroups,
+      objectives: stats.objectives,
+      keptEdits: plan.keptEdits || 0,
+      conflicts: (plan.conflicts || []).length,
       totalOperations: notionPayloads.length
     },
+    conflicts: plan.conflicts || [],
     operations: notionPayloads
   };
   
@@ -767,4 +1037,3 @@ main().catch(error => {
   log(error.stack || '', 'error');
   process.exit(1);
 });
-
@@ -27,6 +27,29 @@ const notion = new Client({ auth: NOTION_API_KEY });
 console.log('🔍 Direct Database Access Test\n');
 console.log('='.repeat(60));
 
+// The schema and pages live on the database's data source(s); a database can have several
+async function testDataSources(db) {
+  const dataSources = db.data_sources || [];
+  console.log(`   Data sources: ${dataSources.length}`);
+  
+  for (const { id, name } of dataSources) {
+    console.log(`\n   📚 ${name || 'Untitled'} (${id})`);
+    try {
+      const dataSource = await notion.dataSources.retrieve({ data_source_id: id });
+      console.log(`   Properties: ${Object.keys(dataSource.properties || {}).join(', ') || '(none)'}`);
+      
+      const query = await notion.dataSources.query({ data_source_id: id, page_size: 3 });
+      console.log(`   Pages: ${query.results.length} items${query.has_more ? ' (more available)' : ''}`);
+      query.results.forEach(page => {
+        const name = page.properties?.Name?.title?.[0]?.plain_text || 'Untitled';
+        console.log(`      - ${name}`);
+      });
+    } catch (queryError) {
+      console.log(`   ⚠️  Could not query pages: ${queryError.code || 'unknown'} - ${queryError.message}`);
+    }
+  }
+}
+
 async function testDatabases() {
   
   console.log('\n📊 Testing Releases Database...');
@@ -39,47 +62,8 @@ async function testDatabases() {
     
     console.log('   ✅ ACCESSIBLE!');
     console.log(`   Name: ${db.title?.[0]?.plain_text || 'Untitled'}`);
-    if (db.properties) {
-      console.log(`   Properties: ${Object.keys(db.properties).join(', ')}`);
-    } else {
-      console.log(`   Properties: (unavailable)`);
-    }
     
-    // Try to query it using direct API call
-    try {
-      const queryResponse = await fetch(`https://api.notion.com/v1/databases/${RELEASES_DB_ID}/query`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${NOTION_API_KEY}`,
-          'Notion-Version': '2022-06-28',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ page_size: 3 })
-      });
-      
-      if (queryResponse.ok) {
-        const query = await queryResponse.json();
-        if (query && query.results) {
-          console.log(`   Pages: ${query.results.length} items`);
-          if (query.results.length > 0) {
-            query.results.forEach(page => {
-              const name = page.properties?.Name?.title?.[0]?.plain_text || 'Untitled';
-              console.log(`      - ${name}`);
-            });
-          }
-        } else {
-          console.log(`   ⚠️  Query response format unexpected`);
-        }
-      } else {
-        const errorText = await queryResponse.text();
-        console.log(`   ⚠️  Could not query pages: ${queryResponse.status} ${queryResponse.statusText}`);
-        if (errorText) {
-          console.log(`   Error details: ${errorText.substring(0, 200)}`);
-        }
-      }
-    } catch (queryError) {
-      console.log(`   ⚠️  Query error: ${queryError.message}`);
-    }
+    await testDataSources(db);
     
   } catch (error) {
     console.log('   ❌ ERROR');
@@ -109,47 +93,8 @@ async function testDatabases() {
     
     console.log('   ✅ ACCESSIBLE!');
     console.log(`   Name: ${db.title?.[0]?.plain_text || 'Untitled'}`);
-    if (db.properties) {
-      console.log(`   Properties: ${Object.keys(db.properties).join(', ')}`);
-    } else {
-      console.log(`   Properties: (unavailable)`);
-    }
     
-    // Try to query it using direct API call
-    try {
-      const queryResponse = await fetch(`https://api.notion.com/v1/databases/${FEATURES_DB_ID}/query`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${NOTION_API_KEY}`,
-          'Notion-Version': '2022-06-28',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ page_size: 3 })
-      });
-      
-      if (queryResponse.ok) {
-        const query = await queryResponse.json();
-        if (query && query.results) {
-          console.log(`   Pages: ${query.results.length} items`);
-          if (query.results.length > 0) {
-            query.results.forEach(page => {
-              const name = page.properties?.Name?.title?.[0]?.plain_text || 'Untitled';
-              console.log(`      - ${name}`);
-            });
-          }
-        } else {
-          console.log(`   ⚠️  Query response format unexpected`);
-        }
-      } else {
-        const errorText = await queryResponse.text();
-        console.log(`   ⚠️  Could not query pages: ${queryResponse.status} ${queryResponse.statusText}`);
-        if (errorText) {
-          console.log(`   Error details: ${errorText.substring(0, 200)}`);
-        }
-      }
-    } catch (queryError) {
-      console.log(`   ⚠️  Query error: ${queryError.message}`);
-    }
+    await testDataSources(db);
     
   } catch (error) {
     console.log('   ❌ ERROR');
@@ -28,6 +28,8 @@ console.log('🧪 Direct Database Test - No Search API\n');
 console.log('='.repeat(60));
 
 async function testDirectAccess() {
+  let releasesDataSources = [];
+  let featuresDataSources = [];
   
   // Test 1: Retrieve Releases database
   console.log('\n📊 Test 1: Retrieve Releases Database');
@@ -35,6 +37,13 @@ async function testDirectAccess() {
     const db = await notion.databases.retrieve({
       database_id: RELEASES_DB_ID
     });
+    releasesDataSources = db.data_sources || [];
+    // Queries and new pages need a data source; without one the tests below can't run
+    if (releasesDataSources.length === 0) {
+      console.log('   ❌ FAILED - No data sources the integration can access');
+      console.log('   Share the database itself (not just its parent page) with the integration');
+      return false;
+    }
     console.log('   ✅ SUCCESS - Can retrieve database metadata');
     console.log(`   Name: ${db.title?.[0]?.plain_text || 'Untitled'}`);
   } catch (error) {
@@ -46,28 +55,18 @@ async function testDirectAccess() {
   // Test 2: Query Releases database
   console.log('\n📊 Test 2: Query Releases Database');
   try {
-    const queryResponse = await fetch(`https://api.notion.com/v1/databases/${RELEASES_DB_ID}/query`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${NOTION_API_KEY}`,
-        'Notion-Version': '2022-06-28',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ page_size: 5 })
-    });
-    
-    if (!queryResponse.ok) {
-      const errorText = await queryResponse.text();
-      throw new Error(`HTTP ${queryResponse.status}: ${errorText}`);
+    // Pages live on the database's data source(s); query each one
+    const results = [];
+    for (const dataSource of releasesDataSources) {
+      const query = await notion.dataSources.query({ data_source_id: dataSource.id, page_size: 5 });
+      results.push(...query.results);
     }
-    
-    const query = await queryResponse.json();
     console.log('   ✅ SUCCESS - Can query database');
-    console.log(`   Found ${query.results?.length || 0} pages`);
+    console.log(`   Found ${results.length} pages in ${releasesDataSources.length} data source(s)`);
     
-    if (query.results && query.results.length > 0) {
+    if (results.length > 0) {
       console.log('   Sample releases:');
-      query.results.slice(0, 3).forEach(page => {
+      results.slice(0, 3).forEach(page => {
         const name = page.properties?.Name?.title?.[0]?.plain_text || 'Untitled';
         console.log(`      - ${name}`);
       });
@@ -82,7 +81,7 @@ async function testDirectAccess() {
   console.log('\n📊 Test 3: Create Test Page in Releases');
   try {
     const testPage = await notion.pages.create({
-      parent: { database_id: RELEASES_DB_ID },
+      parent: { data_source_id: releasesDataSources[0].id },
       properties: {
         Name: {
           title: [{ text: { content: 'API Test - Can Delete' } }]
@@ -117,6 +116,13 @@ async function testDirectAccess() {
     const db = await notion.databases.retrieve({
       database_id: FEATURES_DB_ID
     });
+    featuresDataSources = db.data_sources || [];
+    // Queries and new pages need a data source; without one the tests below can't run
+    if (featuresDataSources.length === 0) {
+      console.log('   ❌ FAILED - No data sources the integration can access');
+      console.log('   Share the database itself (not just its parent page) with the integration');
+      return false;
+    }
     console.log('   ✅ SUCCESS - Can retrieve database metadata');
     console.log(`   Name: ${db.title?.[0]?.plain_text || 'Untitled'}`);
   } catch (error) {
@@ -128,28 +134,18 @@ async function testDirectAccess() {
   // Test 5: Query Features database
   console.log('\n📊 Test 5: Query Features Database');
   try {
-    const queryResponse = await fetch(`https://api.notion.com/v1/databases/${FEATURES_DB_ID}/query`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${NOTION_API_KEY}`,
-        'Notion-Version': '2022-06-28',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ page_size: 5 })
-    });
-    
-    if (!queryResponse.ok) {
-      const errorText = await queryResponse.text();
-      throw new Error(`HTTP ${queryResponse.status}: ${errorText}`);
+    // Pages live on the database's data source(s); query each one
+    const results = [];
+    for (const dataSource of featuresDataSources) {
+      const query = await notion.dataSources.query({ data_source_id: dataSource.id, page_size: 5 });
+      results.push(...query.results);
     }
-    
-    const query = await queryResponse.json();
     console.log('   ✅ SUCCESS - Can query database');
-    console.log(`   Found ${query.results?.length || 0} pages`);
+    console.log(`   Found ${results.length} pages in ${featuresDataSources.length} data source(s)`);
     
-    if (query.results && query.results.length > 0) {
+    if (results.length > 0) {
       console.log('   Sample features:');
-      query.results.slice(0, 3).forEach(page => {
+      results.slice(0, 3).forEach(page => {
         const name = page.properties?.Name?.title?.[0]?.plain_text || 'Untitled';
         console.log(`      - ${name}`);
       });
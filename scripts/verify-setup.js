@@ -1,18 +1,22 @@
 // verify-setup.js
 // Verifies Notion database access and IDs
+// --fix-schema first adds missing mapped properties, select options, rollups and formulas
 
 import dotenv from 'dotenv';
-import { Client } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
+import { configuredMapping, loadFieldMapping } from './lib/field-mapping.js';
+import { compareSchema, runSchemaPreflight } from './lib/schema-check.js';
+import { notionEnvName } from './lib/notion-data-sources.js';
 
 dotenv.config({ path: '.env.personal' });
 
 const NOTION_API_KEY = process.env.NOTION_API_KEY;
 const NOTION_RELEASES_DB_ID = process.env.NOTION_RELEASES_DB_ID;
 const NOTION_FEATURES_DB_ID = process.env.NOTION_FEATURES_DB_ID;
+const NOTION_RELEASE_GROUPS_DB_ID = process.env.NOTION_RELEASE_GROUPS_DB_ID;
+const NOTION_OBJECTIVES_DB_ID = process.env.NOTION_OBJECTIVES_DB_ID;
 
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+const fixSchema = process.argv.slice(2).includes('--fix-schema');
 
 function normalizeDatabaseId(id) {
   // Remove dashes and convert to lowercase for comparison
@@ -28,7 +32,60 @@ function formatDatabaseId(id) {
   return `${clean.slice(0, 8)}-${clean.slice(8, 12)}-${clean.slice(12, 16)}-${clean.slice(16, 20)}-${clean.slice(20, 32)}`;
 }
 
-async function verifyDatabaseAccess(notion, databaseId, name) {
+// The schema lives on the database's data sources; the sync reads pages from all of them,
+// so every data source has to match the mapping
+async function verifyDataSources(notion, database, entity, entityMapping, name) {
+  const dataSources = database.data_sources || [];
+  if (dataSources.length === 0) {
+    console.error(`   ❌ ${name} database has no data sources the integration can access`);
+    return false;
+  }
+  if (dataSources.length > 1) {
+    console.log(`   Data sources: ${dataSources.length} (new pages go to the first unless ${notionEnvName(entity, 'DATA_SOURCE_ID')} is set)`);
+  }
+  
+  let allOk = true;
+  for (const { id } of dataSources) {
+    const dataSource = await notion.dataSources.retrieve({ data_source_id: id });
+    const properties = dataSource.properties || {};
+    const label = dataSources.length > 1 ? `${name} / ${dataSource.title?.[0]?.plain_text || id}` : name;
+    
+    console.log(`   Properties${dataSources.length > 1 ? ` (${label})` : ''}: ${Object.keys(properties).length}`);
+    allOk = verifyMappedProperties(properties, entityMapping, label) && allOk;
+  }
+  return allOk;
+}
+
+function verifyMappedProperties(properties, entityMapping, name) {
+  // Every property in config/field-mapping.json must exist with the mapped type
+  const drift = compareSchema(properties, entityMapping);
+  const problems = [
+    ...drift.missing.map(field => `missing property "${field.property}" (${field.type})`),
+    ...drift.mistyped.map(({ field, actual }) => `property "${field.property}" is ${actual}, mapping expects ${field.type}`)
+  ];
+  
+  drift.missingOptions.forEach(({ field, options }) => {
+    console.log(`   ⚠️  "${field.property}" lacks option(s): ${options.map(option => option.name).join(', ')}`);
+  });
+  drift.computed.forEach(({ entry, problem }) => {
+    console.log(`   ⚠️  ${entry.type} "${entry.property}" ${problem}`);
+  });
+  if (drift.missingOptions.length > 0 || drift.computed.length > 0) {
+    console.log('   💡 Run with --fix-schema to add them');
+  }
+  
+  if (problems.length === 0) {
+    console.log(`   ✅ All ${entityMapping.fields.length} mapped properties present`);
+    return true;
+  }
+  
+  console.error(`   ❌ ${name} schema does not match config/field-mapping.json:`);
+  problems.forEach(problem => console.error(`      - ${problem}`));
+  console.error('   💡 Run with --fix-schema to add missing properties');
+  return false;
+}
+
+async function verifyDatabaseAccess(notion, databaseId, name, entity, entityMapping) {
   // Try both with and without dashes
   const normalizedId = normalizeDatabaseId(databaseId);
   const formattedId = formatDatabaseId(databaseId);
@@ -46,10 +103,10 @@ async function verifyDatabaseAccess(notion, databaseId, name) {
     console.log(`   ID: ${database.id}`);
     console.log(`   Title: ${database.title[0]?.plain_text || 'Untitled'}`);
     console.log(`   URL: ${database.url}`);
-    console.log(`   Properties: ${Object.keys(database.properties).length}`);
     
-    await sleep(350);
-    return { success: true, database };
+    const schemaOk = await verifyDataSources(notion, database, entity, entityMapping, name);
+    
+    return { success: schemaOk, database };
   } catch (error) {
     // Try without dashes if first attempt failed
     if (error.code === 'object_not_found' && normalizedId && normalizedId !== idToTry.replace(/-/g, '')) {
@@ -59,8 +116,9 @@ async function verifyDatabaseAccess(notion, databaseId, name) {
         console.log(`   ID: ${database.id}`);
         console.log(`   Title: ${database.title[0]?.plain_text || 'Untitled'}`);
         console.log(`   URL: ${database.url}`);
-        await sleep(350);
-        return { success: true, database };
+        
+        const schemaOk = await verifyDataSources(notion, database, entity, entityMapping, name);
+        return { success: schemaOk, database };
       } catch (e) {
         // Fall through to error handling
       }
@@ -98,16 +156,15 @@ async function listAccessibleDatabases(notion) {
   try {
     console.log('\n📋 Searching for accessible pages/databases...\n');
     
-    // Search for pages (databases are returned as pages in search)
+    // Search returns data sources; their parent is the database the .env.personal IDs refer to
     const response = await notion.search({
       filter: {
         property: 'object',
-        value: 'page'
+        value: 'data_source'
       }
     });
     
-    // Filter for databases
-    const databases = response.results.filter(result => result.object === 'database');
+    const databases = response.results.filter(result => result.object === 'data_source');
     
     if (databases.length === 0) {
       console.log('   No databases found. Make sure:');
@@ -122,29 +179,35 @@ async function listAccessibleDatabases(notion) {
     
     for (const result of databases) {
       const title = result.title?.[0]?.plain_text || 'Untitled';
-      const normalizedResultId = normalizeDatabaseId(result.id);
+      const databaseId = result.parent?.database_id || result.id;
+      const normalizedResultId = normalizeDatabaseId(databaseId);
       const releasesId = normalizeDatabaseId(NOTION_RELEASES_DB_ID);
       const featuresId = normalizeDatabaseId(NOTION_FEATURES_DB_ID);
+      const releaseGroupsId = normalizeDatabaseId(NOTION_RELEASE_GROUPS_DB_ID);
+      const objectivesId = normalizeDatabaseId(NOTION_OBJECTIVES_DB_ID);
       
       let match = '';
       if (releasesId && normalizedResultId === releasesId) {
         match = ' ← MATCHES Releases DB ID';
       } else if (featuresId && normalizedResultId === featuresId) {
         match = ' ← MATCHES Features DB ID';
+      } else if (releaseGroupsId && normalizedResultId === releaseGroupsId) {
+        match = ' ← MATCHES Release Groups DB ID';
+      } else if (objectivesId && normalizedResultId === objectivesId) {
+        match = ' ← MATCHES Objectives DB ID';
       }
       
       console.log(`   📊 ${title}${match}`);
-      console.log(`      ID: ${result.id}`);
+      console.log(`      Database ID: ${databaseId}`);
+      console.log(`      Data source ID: ${result.id}`);
       console.log(`      URL: ${result.url}\n`);
     }
     
-    if (NOTION_RELEASES_DB_ID || NOTION_FEATURES_DB_ID) {
+    if (NOTION_RELEASES_DB_ID || NOTION_FEATURES_DB_ID || NOTION_RELEASE_GROUPS_DB_ID || NOTION_OBJECTIVES_DB_ID) {
       console.log(`\n   💡 Tip: Compare the IDs above with your .env.personal values`);
       console.log(`      If you see "MATCHES" above, the database is accessible!`);
       console.log(`      If not, you need to share the database with your integration.`);
     }
-    
-    await sleep(350);
   } catch (error) {
     console.error(`   Error searching databases: ${error.message}`);
     console.error(`   Note: This is okay - we'll verify database access directly next.`);
@@ -153,15 +216,13 @@ async function listAccessibleDatabases(notion) {
 
 async function verifyIntegration() {
   try {
-    const notion = new Client({ auth: NOTION_API_KEY });
+    const notion = createNotionClient();
     
     // Test basic API access
     const user = await notion.users.me();
     console.log('✅ Notion API Connection:');
     console.log(`   Integration: ${user.name || 'Unknown'}`);
     console.log(`   Type: ${user.type}`);
-    
-    await sleep(350);
     return { success: true, notion };
   } catch (error) {
     console.error('❌ Notion API Connection Failed:');
@@ -192,18 +253,32 @@ async function main() {
   }
   
   const notion = integrationCheck.notion;
+  const mapping = configuredMapping(loadFieldMapping(), {
+    releaseGroups: NOTION_RELEASE_GROUPS_DB_ID,
+    objectives: NOTION_OBJECTIVES_DB_ID
+  });
   
   // Step 2: List accessible databases
   console.log('\n📋 Step 2/3: Checking Accessible Databases...');
   await listAccessibleDatabases(notion);
   
+  if (fixSchema && NOTION_RELEASES_DB_ID && NOTION_FEATURES_DB_ID) {
+    console.log('\n🔧 Adding missing properties, rollups and formulas...');
+    await runSchemaPreflight(notion, mapping, {
+      releases: NOTION_RELEASES_DB_ID,
+      features: NOTION_FEATURES_DB_ID,
+      ...(NOTION_RELEASE_GROUPS_DB_ID && { releaseGroups: NOTION_RELEASE_GROUPS_DB_ID }),
+      ...(NOTION_OBJECTIVES_DB_ID && { objectives: NOTION_OBJECTIVES_DB_ID })
+    }, { fix: true });
+  }
+  
   // Step 3: Verify specific database IDs
   console.log('\n🎯 Step 3/3: Verifying Database IDs...\n');
   
   if (!NOTION_RELEASES_DB_ID) {
     console.error('⚠️  NOTION_RELEASES_DB_ID not found in .env.personal');
   } else {
-    await verifyDatabaseAccess(notion, NOTION_RELEASES_DB_ID, 'Releases');
+    await verifyDatabaseAccess(notion, NOTION_RELEASES_DB_ID, 'Releases', 'releases', mapping.releases);
   }
   
   console.log('');
@@ -211,20 +286,40 @@ async function main() {
   if (!NOTION_FEATURES_DB_ID) {
     console.error('⚠️  NOTION_FEATURES_DB_ID not found in .env.personal');
   } else {
-    await verifyDatabaseAccess(notion, NOTION_FEATURES_DB_ID, 'Features');
+    await verifyDatabaseAccess(notion, NOTION_FEATURES_DB_ID, 'Features', 'features', mapping.features);
+  }
+  
+  console.log('');
+  
+  if (!NOTION_RELEASE_GROUPS_DB_ID) {
+    console.log('⏭️  NOTION_RELEASE_GROUPS_DB_ID not set - release groups won\'t be synced (optional)');
+  } else {
+    await verifyDatabaseAccess(notion, NOTION_RELEASE_GROUPS_DB_ID, 'Release Groups', 'releaseGroups', mapping.releaseGroups);
+  }
+  
+  console.log('');
+  
+  if (!NOTION_OBJECTIVES_DB_ID) {
+    console.log('⏭️  NOTION_OBJECTIVES_DB_ID not set - objectives and initiatives won\'t be synced (optional)');
+  } else {
+    await verifyDatabaseAccess(notion, NOTION_OBJECTIVES_DB_ID, 'Objectives', 'objectives', mapping.objectives);
   }
   
   console.log('\n' + '='.repeat(50));
   
   // Final summary
   const releasesOk = NOTION_RELEASES_DB_ID ? 
-    (await verifyDatabaseAccess(notion, NOTION_RELEASES_DB_ID, 'Releases')).success : false;
+    (await verifyDatabaseAccess(notion, NOTION_RELEASES_DB_ID, 'Releases', 'releases', mapping.releases)).success : false;
   const featuresOk = NOTION_FEATURES_DB_ID ? 
-    (await verifyDatabaseAccess(notion, NOTION_FEATURES_DB_ID, 'Features')).success : false;
+    (await verifyDatabaseAccess(notion, NOTION_FEATURES_DB_ID, 'Features', 'features', mapping.features)).success : false;
+  const releaseGroupsOk = NOTION_RELEASE_GROUPS_DB_ID ?
+    (await verifyDatabaseAccess(notion, NOTION_RELEASE_GROUPS_DB_ID, 'Release Groups', 'releaseGroups', mapping.releaseGroups)).success : true;
+  const objectivesOk = NOTION_OBJECTIVES_DB_ID ?
+    (await verifyDatabaseAccess(notion, NOTION_OBJECTIVES_DB_ID, 'Objectives', 'objectives', mapping.objectives)).success : true;
   
-  if (releasesOk && featuresOk) {
+  if (releasesOk && featuresOk && releaseGroupsOk && objectivesOk) {
     console.log('\n✅ Setup Verification Complete!');
-    console.log('   Both databases are accessible and ready for migration.');
+    console.log('   All configured databases are accessible, match the field mapping and are ready for migration.');
   } else {
     console.log('\n⚠️  Setup Issues Detected');
     console.log('   Please fix the issues above before running migration.');
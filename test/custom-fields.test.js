@@ -0,0 +1,65 @@
+// custom-fields.test.js
+// ProductBoard custom field values converted to the bound Notion property's type
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attachCustomFields, convertCustomFieldValue, customFieldBindings, optionName } from '../scripts/lib/custom-fields.js';
+
+test('option names lose their commas', () => {
+  assert.equal(optionName('Tier 1, enterprise'), 'Tier 1 enterprise');
+  assert.equal(optionName(' Gold '), 'Gold');
+  assert.equal(optionName(3), '3');
+});
+
+test('numbers parse from text; anything else is empty', () => {
+  assert.equal(convertCustomFieldValue(5, 'number'), 5);
+  assert.equal(convertCustomFieldValue(' 2.5 ', 'number'), 2.5);
+  assert.equal(convertCustomFieldValue('TBD', 'number'), null);
+  assert.equal(convertCustomFieldValue([1, 2], 'number'), null);
+});
+
+test('a select takes the first value as an option name', () => {
+  assert.equal(convertCustomFieldValue(['Gold, plus', 'Silver'], 'select'), 'Gold plus');
+  assert.equal(convertCustomFieldValue(',', 'select'), null);
+});
+
+test('a multi-select keeps every non-empty option name', () => {
+  assert.deepEqual(convertCustomFieldValue(['Web', 'Mobile, iOS', ' , '], 'multi_select'), ['Web', 'Mobile iOS']);
+  assert.deepEqual(convertCustomFieldValue('Web', 'multi_select'), ['Web']);
+});
+
+test('dates keep their calendar day', () => {
+  assert.equal(convertCustomFieldValue('2025-03-05T23:30:00Z', 'date'), '2025-03-05');
+  assert.equal(convertCustomFieldValue('March 5, 2025', 'date'), '2025-03-05');
+  assert.equal(convertCustomFieldValue('soon', 'date'), null);
+});
+
+test('rich text joins several values with commas', () => {
+  assert.equal(convertCustomFieldValue(['ann@example.com', 'bob@example.com'], 'rich_text'), 'ann@example.com, bob@example.com');
+});
+
+test('empty values clear the property', () => {
+  assert.equal(convertCustomFieldValue(null, 'number'), null);
+  assert.equal(convertCustomFieldValue('', 'select'), null);
+  assert.deepEqual(convertCustomFieldValue([], 'multi_select'), []);
+});
+
+test('bound custom fields are attached to every feature, empty where unset', () => {
+  const bindings = customFieldBindings({
+    fields: [
+      { source: 'name', property: 'Name', type: 'title' },
+      { source: 'customFields.Effort', property: 'Effort', type: 'number' },
+      { source: 'customFields.Teams', property: 'Teams', type: 'multi_select' }
+    ]
+  });
+  const values = new Map([['Effort', new Map([['f1', '3']])], ['Teams', new Map([['f2', ['Web']]])]]);
+  const features = [{ id: 'f1' }, { id: 'f2' }];
+
+  attachCustomFields(features, bindings, values);
+
+  assert.deepEqual(bindings, [{ name: 'Effort', type: 'number' }, { name: 'Teams', type: 'multi_select' }]);
+  assert.deepEqual(features.map(feature => feature.customFields), [
+    { Effort: 3, Teams: [] },
+    { Effort: null, Teams: ['Web'] }
+  ]);
+});
@@ -0,0 +1,46 @@
+// duplicate-merge.test.js
+// mergeRelations: the survivor keeps every link, pointed at survivors rather than archived pages
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeRelations } from '../scripts/lib/duplicate-merge.js';
+
+const candidate = (id, relations) => ({ page: { id }, relations });
+const ids = properties => Object.fromEntries(
+  Object.entries(properties).map(([property, value]) => [property, value.relation.map(r => r.id).sort()])
+);
+
+test('two duplicate groups linking to each other end up linking survivor to survivor', () => {
+  // A re-run migration created R1' and F1', with F1' in R1' and F1 in R1
+  const releaseFields = [{ property: 'Features', type: 'relation' }];
+  const featureFields = [{ property: 'Release', type: 'relation' }];
+  const r1 = candidate('R1', { Features: ['F1'] });
+  const r1dup = candidate('R1dup', { Features: ['F1dup'] });
+  const f1 = candidate('F1', { Release: ['R1'] });
+  const f1dup = candidate('F1dup', { Release: ['R1dup'] });
+  const survivorOf = new Map([['R1dup', 'R1'], ['F1dup', 'F1']]);
+
+  assert.deepEqual(mergeRelations(r1, [r1dup], releaseFields, survivorOf), {});
+  assert.deepEqual(mergeRelations(f1, [f1dup], featureFields, survivorOf), {});
+});
+
+test('links only a duplicate had are moved to the survivor, pointed at survivors', () => {
+  const fields = [{ property: 'Features', type: 'relation' }];
+  const survivor = candidate('R1', { Features: ['F1', 'F1dup'] });
+  const duplicate = candidate('R1dup', { Features: ['F2dup', 'F3'] });
+  const survivorOf = new Map([['R1dup', 'R1'], ['F1dup', 'F1'], ['F2dup', 'F2']]);
+
+  assert.deepEqual(ids(mergeRelations(survivor, [duplicate], fields, survivorOf)), {
+    Features: ['F1', 'F2', 'F3']
+  });
+});
+
+test('relations that already match are left alone', () => {
+  const fields = [{ property: 'Release', type: 'relation' }, { property: 'Objectives', type: 'relation' }];
+  const survivor = candidate('F1', { Release: ['R1'], Objectives: [] });
+  const duplicate = candidate('F1dup', { Release: ['R1'], Objectives: ['O1'] });
+
+  assert.deepEqual(ids(mergeRelations(survivor, [duplicate], fields, new Map([['F1dup', 'F1']]))), {
+    Objectives: ['O1']
+  });
+});
@@ -0,0 +1,47 @@
+// feature-hierarchy.test.js
+// attachHierarchy: parent/subfeature links and the product area written to Notion
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attachHierarchy } from '../scripts/lib/feature-hierarchy.js';
+import { mapToNotion } from '../scripts/lib/notion-mapping.js';
+
+const hierarchy = {
+  products: [{ id: 'p1', name: 'Platform, core' }],
+  components: [
+    { id: 'c1', name: 'Search', parent: { type: 'product', id: 'p1' } },
+    { id: 'c2', name: 'Indexing, batch', parent: { type: 'component', id: 'c1' } }
+  ]
+};
+
+test('subfeatures link to their parent and take its product area', () => {
+  const features = [
+    { id: 'f1', parent: { type: 'component', id: 'c2' } },
+    { id: 'f2', parent: { type: 'feature', id: 'f1' } }
+  ];
+
+  attachHierarchy(features, hierarchy);
+
+  assert.deepEqual(features.map(({ parentFeatureIds, subfeatureIds, product, component }) =>
+    ({ parentFeatureIds, subfeatureIds, product, component })), [
+    { parentFeatureIds: [], subfeatureIds: ['f2'], product: 'Platform core', component: 'Indexing batch' },
+    { parentFeatureIds: ['f1'], subfeatureIds: [], product: 'Platform core', component: 'Indexing batch' }
+  ]);
+});
+
+test('a parent whose details failed to load leaves the Parent Feature relation alone', () => {
+  const mapping = {
+    fields: [{ source: 'parentFeatureIds', property: 'Parent Feature', type: 'relation', target: 'features' }]
+  };
+  const features = [{ id: 'f2', parent: { type: 'feature', id: 'f1' } }];
+
+  attachHierarchy(features, hierarchy);
+
+  assert.deepEqual(features[0].parentFeatureIds, ['f1']);
+  // No Notion page known for f1: left out, not cleared
+  assert.deepEqual(mapToNotion(features[0], mapping, { pageIds: { features: new Map() } }), {});
+  // f1 already in Notion: the existing link is kept
+  assert.deepEqual(mapToNotion(features[0], mapping, { pageIds: { features: new Map([['f1', 'page-f1']]) } }), {
+    'Parent Feature': { relation: [{ id: 'page-f1' }] }
+  });
+});
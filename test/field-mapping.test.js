@@ -0,0 +1,81 @@
+// field-mapping.test.js
+// configuredMapping: optional entities drop out when their database isn't configured
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configuredMapping, loadFieldMapping } from '../scripts/lib/field-mapping.js';
+
+const DATABASE_IDS = { releases: 'db-rel', features: 'db-feat', releaseGroups: 'db-grp' };
+
+test('objectives are left out without NOTION_OBJECTIVES_DB_ID', () => {
+  const mapping = configuredMapping(loadFieldMapping(), DATABASE_IDS);
+
+  assert.deepEqual(Object.keys(mapping).sort(), ['features', 'releaseGroups', 'releases']);
+});
+
+test('objectives are kept when their database is configured', () => {
+  const full = loadFieldMapping();
+  const mapping = configuredMapping(full, { ...DATABASE_IDS, objectives: 'db-obj' });
+
+  assert.deepEqual(mapping, full);
+});
+
+test('releases lose their group relation without NOTION_RELEASE_GROUPS_DB_ID', () => {
+  const mapping = configuredMapping(loadFieldMapping(), { releases: 'db-rel', features: 'db-feat' });
+
+  assert.deepEqual(Object.keys(mapping).sort(), ['features', 'releases']);
+  assert.equal(mapping.releases.fields.some(field => field.target === 'releaseGroups'), false);
+});
+
+test('relations to a skipped entity and rollups over them are dropped', () => {
+  const mapping = configuredMapping({
+    releases: {
+      fields: [
+        { source: 'name', property: 'Name', type: 'title' },
+        { source: 'objectiveIds', property: 'Objectives', type: 'relation', target: 'objectives' }
+      ],
+      computed: [
+        { property: 'Objective Count', type: 'rollup', relation: 'Objectives', rollupProperty: 'Name', function: 'count' },
+        { property: 'Label', type: 'formula', expression: 'prop("Name")' }
+      ]
+    },
+    objectives: { fields: [] }
+  }, { releases: 'db-rel' });
+
+  assert.deepEqual(mapping.releases.fields.map(field => field.property), ['Name']);
+  assert.deepEqual(mapping.releases.computed.map(entry => entry.property), ['Label']);
+  assert.equal(mapping.objectives, undefined);
+});
+
+// A mapping from before release groups and objectives: no sections for them, no relations to them
+function loadWithoutOptionalSections() {
+  const { releases, features } = loadFieldMapping();
+  // Drops the relations to release groups and objectives
+  const strip = entity => configuredMapping({ entity }, {}).entity;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-mapping-'));
+  try {
+    const mappingPath = path.join(dir, 'field-mapping.json');
+    fs.writeFileSync(mappingPath, JSON.stringify({ releases: strip(releases), features: strip(features) }));
+    return loadFieldMapping(mappingPath);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+test('a mapping without release group and objective sections loads', () => {
+  const mapping = loadWithoutOptionalSections();
+
+  const configured = configuredMapping(mapping, { releases: 'db-rel', features: 'db-feat' });
+  assert.deepEqual(Object.keys(configured).sort(), ['features', 'releases']);
+});
+
+test('a configured database without a mapping section is refused', () => {
+  const mapping = loadWithoutOptionalSections();
+
+  assert.throws(() => configuredMapping(mapping, { ...DATABASE_IDS, objectives: 'db-obj' }), /NOTION_RELEASE_GROUPS_DB_ID is set/);
+  assert.throws(() => configuredMapping(mapping, { releases: 'db-rel', features: 'db-feat', objectives: 'db-obj' }),
+    /no "objectives" section, but NOTION_OBJECTIVES_DB_ID is set/);
+});
@@ -0,0 +1,95 @@
+// field-ownership.test.js
+// resolveOwnership: which side wins for notion, productboard-unless-edited and writeBack fields
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveOwnership, trackedValues } from '../scripts/lib/field-ownership.js';
+
+const mapping = {
+  fields: [
+    { source: 'name', property: 'Name', type: 'title' },
+    { source: 'notes', property: 'Notes', type: 'rich_text', ownership: 'notion' },
+    { source: 'owner', property: 'Owner', type: 'rich_text', ownership: 'productboard-unless-edited' },
+    { source: 'status', property: 'Status', type: 'select', writeBack: true }
+  ]
+};
+
+// A page the sync last wrote at 10:00 and someone edited at 11:00
+const page = { last_edited_time: '2025-01-01T11:00:00.000Z' };
+const edited = { lastEditedTime: '2025-01-01T10:00:00.000Z', values: { Owner: 'ann', Status: 'Planned' } };
+
+function resolve({ notion = {}, productboard = {}, state = edited, options } = {}) {
+  const notionData = { Name: 'Feature', Notes: 'n', Owner: 'ann', Status: 'Planned', ...notion };
+  const pbData = { Name: 'Feature', Notes: 'pb', Owner: 'ann', Status: 'Planned', ...productboard };
+  return resolveOwnership(page, mapping, notionData, pbData, state, options);
+}
+
+test('notion-owned fields are never compared or written', () => {
+  assert.deepEqual(resolve().exclude, ['Notes']);
+});
+
+test('productboard-unless-edited: ProductBoard wins while Notion still holds the last-synced value', () => {
+  const result = resolve({ productboard: { Owner: 'bob' } });
+
+  assert.deepEqual(result.exclude, ['Notes']);
+  assert.equal(result.values.Owner, 'bob');
+  assert.equal(result.clean, true);
+});
+
+test('productboard-unless-edited: a Notion edit is kept while ProductBoard is unchanged', () => {
+  const result = resolve({ notion: { Owner: 'carl' } });
+
+  assert.deepEqual(result.exclude, ['Notes', 'Owner']);
+  assert.deepEqual(result.keptEdits, ['Owner']);
+  assert.deepEqual(result.conflicts, []);
+  assert.equal(result.values.Owner, 'ann');
+  assert.equal(result.clean, false);
+});
+
+test('productboard-unless-edited: edits on both sides keep Notion and report a conflict', () => {
+  const result = resolve({ notion: { Owner: 'carl' }, productboard: { Owner: 'bob' } });
+
+  assert.deepEqual(result.exclude, ['Notes', 'Owner']);
+  assert.deepEqual(result.conflicts, [{ property: 'Owner', notion: 'carl', productboard: 'bob', lastSynced: 'ann' }]);
+});
+
+test('productboard-unless-edited: both sides agreeing on a new value is no conflict', () => {
+  const result = resolve({ notion: { Owner: 'bob' }, productboard: { Owner: 'bob' } });
+
+  assert.deepEqual(result.exclude, ['Notes']);
+  assert.equal(result.values.Owner, 'bob');
+});
+
+test('a page untouched since the last sync lets ProductBoard win', () => {
+  const result = resolve({
+    notion: { Owner: 'carl' },
+    productboard: { Owner: 'bob' },
+    state: { ...edited, lastEditedTime: page.last_edited_time }
+  });
+
+  assert.deepEqual(result.exclude, ['Notes']);
+  assert.equal(result.values.Owner, 'bob');
+});
+
+test('without a last-synced value ProductBoard wins', () => {
+  const result = resolve({ notion: { Owner: 'carl' }, productboard: { Owner: 'bob' }, state: null });
+
+  assert.deepEqual(result.exclude, ['Notes']);
+  assert.equal(result.values.Owner, 'bob');
+});
+
+test('writeBack fields are only protected when two-way sync is on', () => {
+  assert.deepEqual(resolve({ notion: { Status: 'Done' } }).exclude, ['Notes']);
+
+  const result = resolve({ notion: { Status: 'Done' }, options: { writeBack: true } });
+  assert.deepEqual(result.exclude, ['Notes', 'Status']);
+  assert.deepEqual(result.writeBack, [{ field: mapping.fields[3], value: 'Done' }]);
+  assert.equal('Status' in result.values, false);
+});
+
+test('trackedValues remembers only productboard-unless-edited and writeBack fields', () => {
+  assert.deepEqual(trackedValues({ Name: 'Feature', Notes: 'pb', Owner: 'ann', Status: 'Planned' }, mapping), {
+    Owner: 'ann',
+    Status: 'Planned'
+  });
+});
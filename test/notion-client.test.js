@@ -0,0 +1,61 @@
+// notion-client.test.js
+// Retry behavior of notionFetch: reads retry transient failures, creates don't risk duplicates
+
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { notionFetch } from '../scripts/lib/notion-client.js';
+
+const realFetch = globalThis.fetch;
+let calls;
+
+// Answer every request with the given statuses in turn (the last one repeats)
+function respondWith(...statuses) {
+  globalThis.fetch = async () => {
+    const status = statuses[Math.min(calls++, statuses.length - 1)];
+    return new Response('{}', { status });
+  };
+}
+
+beforeEach(() => {
+  calls = 0;
+  process.env.NOTION_RETRY_BASE_MS = '0';
+  process.env.NOTION_RATE_LIMIT_PER_SEC = '1000';
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('a page create that gets a 503 is not retried', async () => {
+  respondWith(503, 200);
+  const response = await notionFetch('https://api.notion.com/v1/pages', { method: 'POST', body: '{}' });
+  assert.equal(response.status, 503);
+  assert.equal(calls, 1);
+});
+
+test('a page create that gets a 429 is retried', async () => {
+  respondWith(429, 200);
+  const response = await notionFetch('https://api.notion.com/v1/pages', { method: 'POST', body: '{}' });
+  assert.equal(response.status, 200);
+  assert.equal(calls, 2);
+});
+
+test('a page create whose connection drops is not retried', async () => {
+  globalThis.fetch = async () => {
+    calls++;
+    throw new TypeError('fetch failed');
+  };
+  await assert.rejects(notionFetch('https://api.notion.com/v1/pages', { method: 'POST', body: '{}' }), TypeError);
+  assert.equal(calls, 1);
+});
+
+test('reads and updates are retried on a 503', async () => {
+  respondWith(503, 200);
+  assert.equal((await notionFetch('https://api.notion.com/v1/pages/abc', { method: 'PATCH', body: '{}' })).status, 200);
+  assert.equal(calls, 2);
+
+  calls = 0;
+  respondWith(503, 200);
+  assert.equal((await notionFetch('https://api.notion.com/v1/data_sources/abc/query', { method: 'POST', body: '{}' })).status, 200);
+  assert.equal(calls, 2);
+});
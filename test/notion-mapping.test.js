@@ -0,0 +1,143 @@
+// notion-mapping.test.js
+// ProductBoard values → Notion property payloads, and the comparable values read back
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  captureProperties,
+  detectChanges,
+  mapRemovedToNotion,
+  mapToNotion,
+  readPage,
+  toComparable
+} from '../scripts/lib/notion-mapping.js';
+
+test('a custom field whose name holds a dot is read by its full name', () => {
+  const mapping = { fields: [{ source: 'customFields.Est. effort', property: 'Effort', type: 'number' }] };
+  const feature = { customFields: { 'Est. effort': 3 } };
+
+  assert.deepEqual(mapToNotion(feature, mapping), { Effort: { number: 3 } });
+  assert.deepEqual(toComparable(feature, mapping), { Effort: 3 });
+});
+
+test('rich text over 2000 characters is split into items Notion accepts', () => {
+  const mapping = { fields: [{ source: 'description', property: 'Description', type: 'rich_text' }] };
+  const description = 'a'.repeat(4500);
+
+  const items = mapToNotion({ description }, mapping).Description.rich_text;
+
+  assert.deepEqual(items.map(item => item.text.content.length), [2000, 2000, 500]);
+  assert.equal(items.map(item => item.text.content).join(''), description);
+});
+
+test('an emoji at the 2000 character boundary stays in one item', () => {
+  const mapping = { fields: [{ source: 'description', property: 'Description', type: 'rich_text' }] };
+  const description = 'a'.repeat(1999) + '🚀' + 'b';
+
+  const items = mapToNotion({ description }, mapping).Description.rich_text;
+
+  assert.deepEqual(items.map(item => item.text.content), ['a'.repeat(1999), '🚀b']);
+});
+
+const featureMapping = {
+  removed: { property: 'Removed', type: 'checkbox', value: true },
+  fields: [
+    { source: 'name', property: 'Name', type: 'title' },
+    { source: 'id', property: 'Feature ID', type: 'rich_text', identity: true },
+    { source: 'status', property: 'Status', type: 'select' },
+    { source: 'tags', property: 'Tags', type: 'multi_select' },
+    { source: 'dueDate', property: 'Due', type: 'date' },
+    { source: 'link', property: 'Link', type: 'url' },
+    { source: 'effort', property: 'Effort', type: 'number' },
+    { source: 'archived', property: 'Archived', type: 'checkbox' },
+    { source: 'raw.owner.email', property: 'Owner', type: 'rich_text' },
+    { source: 'releaseIds', property: 'Release', type: 'relation', target: 'releases' }
+  ]
+};
+
+const feature = {
+  name: 'Search', id: 'f1', status: 'Planned', tags: ['web', 'api'], dueDate: '2025-03-05',
+  link: 'https://example.com', effort: '3', archived: false, raw: { owner: { email: 'ann@example.com' } },
+  releaseIds: ['r1', 'r2']
+};
+
+const context = { pageIds: { releases: new Map([['r1', 'page-r1'], ['r2', 'page-r2']]) } };
+
+test('each property type gets its Notion payload shape', () => {
+  assert.deepEqual(mapToNotion(feature, featureMapping, context), {
+    Name: { title: [{ text: { content: 'Search' } }] },
+    'Feature ID': { rich_text: [{ text: { content: 'f1' } }] },
+    Status: { select: { name: 'Planned' } },
+    Tags: { multi_select: [{ name: 'web' }, { name: 'api' }] },
+    Due: { date: { start: '2025-03-05' } },
+    Link: { url: 'https://example.com' },
+    Effort: { number: 3 },
+    Archived: { checkbox: false },
+    Owner: { rich_text: [{ text: { content: 'ann@example.com' } }] },
+    Release: { relation: [{ id: 'page-r1' }, { id: 'page-r2' }] }
+  });
+});
+
+test('empty values clear their property', () => {
+  const properties = mapToNotion({ id: 'f1', tags: [], releaseIds: [] }, featureMapping, context);
+
+  assert.deepEqual(properties.Name, { title: [] });
+  assert.deepEqual(properties.Status, { select: null });
+  assert.deepEqual(properties.Tags, { multi_select: [] });
+  assert.deepEqual(properties.Due, { date: null });
+  assert.deepEqual(properties.Effort, { number: null });
+  assert.deepEqual(properties.Release, { relation: [] });
+});
+
+test('a relation whose pages are all unknown is left out rather than cleared', () => {
+  const properties = mapToNotion({ ...feature, releaseIds: ['r9'] }, featureMapping, context);
+
+  assert.equal('Release' in properties, false);
+  assert.deepEqual(mapToNotion({ ...feature, releaseIds: ['r1', 'r9'] }, featureMapping, context).Release,
+    { relation: [{ id: 'page-r1' }] });
+});
+
+test('a page written from a feature reads back as the same comparable values', () => {
+  const page = { properties: {} };
+  for (const [name, value] of Object.entries(mapToNotion(feature, featureMapping, context))) {
+    const type = Object.keys(value)[0];
+    const property = { type, ...value };
+    if (type === 'title' || type === 'rich_text') {
+      property[type] = value[type].map(item => ({ plain_text: item.text.content }));
+    }
+    page.properties[name] = property;
+  }
+
+  const expected = toComparable(feature, featureMapping, context);
+  assert.deepEqual(readPage(page, featureMapping), expected);
+  assert.equal(detectChanges(readPage(page, featureMapping), expected), null);
+  assert.deepEqual(expected.Release, ['page-r1', 'page-r2']);
+});
+
+test('detectChanges lists only the properties that differ', () => {
+  assert.deepEqual(detectChanges({ Status: 'Planned', Effort: 3 }, { Status: 'Done', Effort: 3 }), {
+    Status: { old: 'Planned', new: 'Done' }
+  });
+});
+
+test('the removal marker clears every relation and sets the marker', () => {
+  assert.deepEqual(mapRemovedToNotion(featureMapping), {
+    Release: { relation: [] },
+    Removed: { checkbox: true }
+  });
+});
+
+test('captureProperties skips truncated relations and computed properties', () => {
+  const page = {
+    properties: {
+      Status: { type: 'select', select: { id: 'x', name: 'Planned', color: 'blue' } },
+      Release: { type: 'relation', relation: [{ id: 'page-r1' }], has_more: true },
+      Health: { type: 'formula', formula: { string: 'on-track' } }
+    }
+  };
+
+  assert.deepEqual(captureProperties(page, ['Status', 'Release', 'Health', 'Missing']), {
+    properties: { Status: { select: { name: 'Planned' } } },
+    skipped: ['Release', 'Health', 'Missing']
+  });
+});
@@ -0,0 +1,46 @@
+// release-metrics.test.js
+// Release health derived from the risk score, and the thresholds that make it consistent
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { computeReleaseMetrics, loadReleaseHealthConfig } from '../scripts/lib/release-metrics.js';
+
+const config = loadReleaseHealthConfig();
+
+// Load the default config with some keys replaced, from a throwaway file
+function loadWith(overrides) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-health-'));
+  try {
+    const configPath = path.join(dir, 'release-health.json');
+    fs.writeFileSync(configPath, JSON.stringify({ ...config, ...overrides }));
+    return loadReleaseHealthConfig(configPath);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+for (const health of ['on-track', 'needs-attention', 'at-risk', 'off-track']) {
+  test(`a release whose features are all ${health} is ${health}`, () => {
+    const features = [
+      { id: 'f1', health, status: 'In Implementation' },
+      { id: 'f2', health, status: 'Released' },
+      { id: 'f3', health, status: 'Created' }
+    ];
+
+    assert.equal(computeReleaseMetrics(features, config).releaseHealth, health);
+  });
+}
+
+test('a release without features has unknown health', () => {
+  assert.equal(computeReleaseMetrics([], config).releaseHealth, 'unknown');
+});
+
+test('thresholds a uniform release can never reach are rejected', () => {
+  assert.throws(
+    () => loadWith({ thresholds: { 'off-track': 50, 'at-risk': 25, 'needs-attention': 10 } }),
+    /thresholds\.off-track must be above 60/
+  );
+});
@@ -0,0 +1,68 @@
+// removal-detection.test.js
+// findMissingPages: pages gone from ProductBoard, never a partial fetch taken as a mass deletion
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMissingPages } from '../scripts/lib/removal-detection.js';
+
+const pagesFor = (...pbIds) => new Map(pbIds.map(pbId => [pbId, { id: `page-${pbId}` }]));
+
+function idMap() {
+  return {
+    pages: {
+      releases: pagesFor('r1', 'r2'),
+      features: pagesFor('f1', 'f2'),
+      releaseGroups: pagesFor('g1', 'g2'),
+      objectives: pagesFor('o1', 'o2')
+    }
+  };
+}
+
+// Every entity fetched in full, except r2 / f2 / g2 / o2
+function fetched(overrides = {}) {
+  return {
+    releases: [{ id: 'r1' }],
+    releaseGroups: [{ id: 'g1' }],
+    objectives: [{ id: 'o1' }],
+    objectivesFailed: false,
+    featureIds: new Set(['f1']),
+    assignmentResults: [{ failed: false }],
+    backlogFilters: { statuses: [], components: [] },
+    ...overrides
+  };
+}
+
+function missingIds(run) {
+  const missing = findMissingPages(idMap(), run.releases, run.releaseGroups, run.objectives, run.objectivesFailed,
+    run.featureIds, run.assignmentResults, run.backlogFilters, { log: () => {} });
+  return Object.fromEntries(Object.entries(missing).map(([entity, pages]) => [entity, pages.map(page => page.pbId)]));
+}
+
+test('pages whose ProductBoard entity wasn\'t fetched are missing', () => {
+  assert.deepEqual(missingIds(fetched()), {
+    releases: ['r2'], features: ['f2'], releaseGroups: ['g2'], objectives: ['o2']
+  });
+});
+
+test('no releases fetched skips removal detection entirely', () => {
+  assert.deepEqual(missingIds(fetched({ releases: [] })), {
+    releases: [], features: [], releaseGroups: [], objectives: []
+  });
+});
+
+test('empty release group and objective lists remove nothing', () => {
+  const missing = missingIds(fetched({ releaseGroups: [], objectives: [] }));
+
+  assert.deepEqual(missing.releaseGroups, []);
+  assert.deepEqual(missing.objectives, []);
+});
+
+test('objectives that failed to load remove nothing', () => {
+  assert.deepEqual(missingIds(fetched({ objectivesFailed: true })).objectives, []);
+});
+
+test('failed assignments or backlog filters skip feature removal', () => {
+  assert.deepEqual(missingIds(fetched({ assignmentResults: [{ failed: true }] })).features, []);
+  assert.deepEqual(missingIds(fetched({ backlogFilters: { statuses: ['New idea'], components: [] } })).features, []);
+  assert.deepEqual(missingIds(fetched({ assignmentResults: [{ failed: true }] })).releases, ['r2']);
+});
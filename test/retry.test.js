@@ -0,0 +1,31 @@
+// retry.test.js
+// withRetry delays: Retry-After is honoured, but never beyond maxDelayMs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry } from '../scripts/lib/retry.js';
+
+// Fail once with the given Retry-After, then succeed; resolves to the delay withRetry chose
+async function delayFor(retryAfterMs, options) {
+  let delay;
+  await withRetry(attempt => {
+    if (attempt === 1) {
+      throw Object.assign(new Error('rate limited'), { retryAfterMs });
+    }
+    return 'ok';
+  }, { ...options, onRetry: (error, attempt, ms) => { delay = ms; } });
+  return delay;
+}
+
+test('a Retry-After within maxDelayMs is used as is', async () => {
+  assert.equal(await delayFor(5, { maxDelayMs: 10 }), 5);
+});
+
+test('a Retry-After beyond maxDelayMs is capped', async () => {
+  assert.equal(await delayFor(3600000, { maxDelayMs: 10 }), 10);
+});
+
+test('without Retry-After the backoff stays within maxDelayMs', async () => {
+  const delay = await delayFor(undefined, { baseDelayMs: 1000, maxDelayMs: 10 });
+  assert.ok(delay >= 0 && delay <= 10);
+});